@@ -5,41 +5,112 @@
  * @typedef {Object} AppState
  * @property {string} apiUrl
  * @property {string} apiKey
+ * @property {string[]} fallbackUrls
  * @property {number} speechSpeed
- * @property {string} voice
+ * @property {string} voice - Voice string or "preset:<name>"
+ * @property {Object<string, string>} voicePresets
  * @property {string} model
  * @property {boolean} streamingMode
  * @property {boolean} downloadMode
+ * @property {string} downloadFormat - Key of DOWNLOAD_FORMATS
+ * @property {string} streamFormat - Key of STREAM_FORMATS
+ * @property {number} pcmSampleRate - Sample rate of raw PCM streams
+ * @property {number} pcmChannels - Channels of raw PCM streams
+ * @property {number} prefetchCount
+ * @property {boolean} cacheEnabled
+ * @property {number} cacheSizeLimit
+ * @property {ReadingRule[]} readingRules
+ * @property {Object<string, boolean>} normalizationRules - Enabled text cleanup rules
+ * @property {PronunciationEntry[]} pronunciations - User pronunciation dictionary
+ * @property {number} historyLimit - Reading history entries kept
+ * @property {'headings'|'sentences'} exportChapterMode - Where export chapters start
+ * @property {number} exportChapterSize - Sentences per chapter in "sentences" mode
+ * @property {'none'|'srt'|'vtt'} exportSubtitles - Subtitle file saved with downloads
  * @property {boolean} isMobile
  */
 
 // Settings state
 let apiUrl = "";
 let apiKey = "";
+let fallbackUrls = [];
 let speechSpeed = 1.0;
 let voice = "af_bella+af_sky";
+let voicePresets = {}; // blend presets by name
 let model = "kokoro";
 let streamingMode = false;
+let playbackRate = 1.0; // applied while playing, unlike speechSpeed
+let streamFormat = "pcm";
+let pcmSampleRate = 24000;
+let pcmChannels = 1;
+let prefetchCount = 3;
+let cacheEnabled = true;
+let cacheSizeLimit = 100; // MB
+let readingRules = [];
+let normalizationRules = resolveNormalizationRules();
+let pronunciations = [];
+let historyLimit = 50;
+let exportChapterMode = "headings";
+let exportChapterSize = 20;
+let exportSubtitles = "none";
 let downloadMode = false;
+let downloadFormat = "mp3";
+let playerOverlay = false;
 let isMobile = false;
 
-// Audio playback state
-let currentAudio = null;
-let audioContext = null;
+// Audio playback state, shared by every mode
+const playback = createPlaybackController();
 let gainNode = null;
-let pcmStreamStopped = false;
-let pcmPlaybackTime = 0;
-let playbackState = "idle"; // idle | playing | paused
-
-// Queue management
-let audioQueue = [];
-let isPlaying = false;
-let stopRequested = false;
+let pcmPlaybackTime = 0; // context time the scheduled PCM audio ends at
+let pcmSources = []; // scheduled PCM buffers that have not finished playing
+let pcmReceivedTime = 0; // seconds of PCM audio received
+let pcmStreamDone = false;
+let pcmFirstSentenceIndex = 0; // sentence the stream starts at when resuming
+let streamSentences = []; // all sentences of the streamed text
+let streamSentenceIndex = -1; // sentence estimated to be playing
+let streamProgress = null; // returns the StreamProgress of the current stream
+let activeQueueItemId = null; // reading queue item being read, if any
+let activeHistoryId = null; // history entry of the current reading
+let historyWrites = Promise.resolve(); // serializes history updates
+let pendingHistoryPosition = null; // {entryId, changes} not saved yet
+let historyPositionSavedAt = 0;
+
+// Sentence session: split sentences and their audio are kept for the whole
+// reading so playback can skip back and forth or jump to any sentence
+let sessionSentences = [];
+let sessionAudio = []; // blob URL per sentence, null until fetched
+let sessionDurations = []; // seconds per sentence, once played
+let failedSentences = new Set();
+let currentSentenceIndex = -1;
+let inFlightSentences = new Set();
+let sessionOptions = null; // speech options resolved for the session's text
 let currentAbortController = null;
+let currentReading = null; // text and source of the reading, to restart streams at a sentence
 
-function setPlaybackState(state) {
-  playbackState = state;
-}
+// Page highlighting state
+let readingTabId = null;
+let streamHighlightTimer = null;
+
+// Popups and floating players following the playback over runtime.connect, with the sentences last sent
+const playbackPorts = new Map();
+let playbackStatusTimer = null;
+
+playback.on("statechange", postPlaybackStatus);
+playback.on("statechange", () => updateMediaSession());
+playback.on("statechange", ({ state }) => {
+  if (state === "paused" || state === "idle") saveHistoryPosition();
+});
+playback.on("finish", () => {
+  clearHighlight();
+
+  // Continue with the reading queue
+  if (activeQueueItemId) {
+    const finishedId = activeQueueItemId;
+    activeQueueItemId = null;
+    removeFromReadingQueue(finishedId)
+      .then(() => playReadingQueue())
+      .catch((error) => logError('STORAGE', error));
+  }
+});
 
 browser.runtime.getPlatformInfo().then((info) => {
   isMobile = info.os === "android";
@@ -47,6 +118,7 @@ browser.runtime.getPlatformInfo().then((info) => {
 });
 
 function initializeExtension() {
+  initializeMediaSession();
   if (isMobile) {
     browser.browserAction.setPopup({ popup: "" });
     browser.browserAction.onClicked.addListener(handleMobileClick);
@@ -64,32 +136,88 @@ function handleMobileClick(tab) {
     .then((results) => {
       const selectedText = results[0];
       if (selectedText) {
-        if (downloadMode && isMobile) {
-          processMobileDownload(selectedText);
-        } else {
-          processText(selectedText);
-        }
+        processText(selectedText, tab.id);
+      } else {
+        // Nothing selected: fall back to reading the whole page
+        readPage(tab.id);
       }
     });
 }
 
+/**
+ * Extract the main readable content of a tab
+ * @param {number} [tabId] - Tab to read, defaults to the active tab
+ * @returns {Promise<{title: string, url: string, text: string, headings: string[]}|null>}
+ */
+async function extractPageContent(tabId) {
+  const results = await browser.tabs.executeScript(tabId, {
+    file: "/content/extract.js",
+  });
+  return results && results[0] ? results[0] : null;
+}
+
+/**
+ * Read the main content of a page through the normal pipeline
+ * @param {number} [tabId] - Tab to read, defaults to the active tab
+ * @returns {Promise<void>}
+ */
+async function readPage(tabId) {
+  try {
+    if (tabId === undefined) {
+      const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+      if (tabs.length === 0) return;
+      tabId = tabs[0].id;
+    }
+
+    const content = await extractPageContent(tabId);
+    if (!content || !content.text) {
+      showToast("No readable content found on this page.", "info");
+      return;
+    }
+
+    processText(content.text, tabId, { headings: content.headings });
+  } catch (error) {
+    logError("PAGE_EXTRACTION", error);
+  }
+}
+
 /**
  * Initialize settings from storage
  */
 (async function initializeSettings() {
   try {
     const data = await browser.storage.local.get([
-      "apiUrl", "apiKey", "speechSpeed", "voice", 
-      "model", "streamingMode", "downloadMode", "outputVolume"
+      "apiUrl", "apiKey", "fallbackUrls", "speechSpeed", "voice", 
+      "model", "streamingMode", "downloadMode", "downloadFormat", "streamFormat", "pcmSampleRate", "pcmChannels", "outputVolume", "prefetchCount", "voicePresets", "playbackRate",
+      "cacheEnabled", "cacheSizeLimit", "readingRules", "normalizationRules", "pronunciations", "historyLimit",
+      "exportChapterMode", "exportChapterSize", "exportSubtitles", "playerOverlay"
     ]);
     
     apiUrl = data.apiUrl || CONFIG.DEFAULT_API_URL;
     apiKey = data.apiKey || CONFIG.DEFAULT_API_KEY;
+    fallbackUrls = data.fallbackUrls || [];
     speechSpeed = data.speechSpeed || CONFIG.DEFAULT_SPEED;
+    playbackRate = data.playbackRate || CONFIG.DEFAULT_PLAYBACK_RATE;
     voice = data.voice || CONFIG.DEFAULT_VOICE;
+    voicePresets = data.voicePresets || {};
     model = data.model || CONFIG.DEFAULT_MODEL;
     streamingMode = data.streamingMode || false;
+    streamFormat = data.streamFormat || CONFIG.DEFAULT_STREAM_FORMAT;
+    pcmSampleRate = data.pcmSampleRate || CONFIG.PCM_SAMPLE_RATE;
+    pcmChannels = data.pcmChannels || CONFIG.PCM_NUM_CHANNELS;
     downloadMode = data.downloadMode || false;
+    downloadFormat = data.downloadFormat || CONFIG.DEFAULT_DOWNLOAD_FORMAT;
+    prefetchCount = data.prefetchCount || CONFIG.DEFAULT_PREFETCH_COUNT;
+    cacheEnabled = data.cacheEnabled ?? true;
+    cacheSizeLimit = data.cacheSizeLimit || CONFIG.DEFAULT_CACHE_SIZE_LIMIT;
+    readingRules = data.readingRules || [];
+    normalizationRules = resolveNormalizationRules(data.normalizationRules);
+    pronunciations = data.pronunciations || [];
+    historyLimit = data.historyLimit || CONFIG.DEFAULT_HISTORY_LIMIT;
+    exportChapterMode = data.exportChapterMode || CONFIG.DEFAULT_EXPORT_CHAPTER_MODE;
+    exportChapterSize = data.exportChapterSize || CONFIG.DEFAULT_EXPORT_CHAPTER_SIZE;
+    exportSubtitles = data.exportSubtitles || CONFIG.DEFAULT_EXPORT_SUBTITLES;
+    playerOverlay = data.playerOverlay ?? CONFIG.DEFAULT_PLAYER_OVERLAY;
     if (gainNode) gainNode.gain.value = data.outputVolume ?? CONFIG.DEFAULT_VOLUME;
   } catch (error) {
     console.error('Failed to initialize settings:', error);
@@ -99,608 +227,1890 @@ function handleMobileClick(tab) {
 browser.storage.onChanged.addListener((changes) => {
   if (changes.apiUrl) apiUrl = changes.apiUrl.newValue;
   if (changes.apiKey) apiKey = changes.apiKey.newValue;
-  if (changes.speechSpeed) speechSpeed = changes.speechSpeed.newValue;
+  if (changes.fallbackUrls) fallbackUrls = changes.fallbackUrls.newValue || [];
+  if (changes.speechSpeed) {
+    speechSpeed = changes.speechSpeed.newValue;
+    // Sentences not fetched yet are requested at the new speed, unless a rule set it
+    if (sessionOptions && !sessionOptions.ruleSpeed) sessionOptions = { ...sessionOptions, speed: speechSpeed };
+  }
+  if (changes.playbackRate) {
+    playbackRate = changes.playbackRate.newValue || CONFIG.DEFAULT_PLAYBACK_RATE;
+    applyPlaybackRate();
+  }
   if (changes.voice) voice = changes.voice.newValue;
+  if (changes.voicePresets) voicePresets = changes.voicePresets.newValue || {};
   if (changes.model) model = changes.model.newValue;
   if (changes.streamingMode) streamingMode = changes.streamingMode.newValue;
+  if (changes.streamFormat) streamFormat = changes.streamFormat.newValue || CONFIG.DEFAULT_STREAM_FORMAT;
+  if (changes.pcmSampleRate) pcmSampleRate = changes.pcmSampleRate.newValue || CONFIG.PCM_SAMPLE_RATE;
+  if (changes.pcmChannels) pcmChannels = changes.pcmChannels.newValue || CONFIG.PCM_NUM_CHANNELS;
   if (changes.downloadMode) downloadMode = changes.downloadMode.newValue;
+  if (changes.downloadFormat) downloadFormat = changes.downloadFormat.newValue || CONFIG.DEFAULT_DOWNLOAD_FORMAT;
+  if (changes.prefetchCount) {
+    prefetchCount = changes.prefetchCount.newValue || CONFIG.DEFAULT_PREFETCH_COUNT;
+    scheduleSentenceFetches();
+  }
+  if (changes.cacheEnabled) cacheEnabled = changes.cacheEnabled.newValue;
+  if (changes.cacheSizeLimit) {
+    cacheSizeLimit = changes.cacheSizeLimit.newValue || CONFIG.DEFAULT_CACHE_SIZE_LIMIT;
+    evictAudioCache(cacheSizeLimit * 1024 * 1024).catch(() => {});
+  }
+  if (changes.readingRules) readingRules = changes.readingRules.newValue || [];
+  if (changes.normalizationRules) normalizationRules = resolveNormalizationRules(changes.normalizationRules.newValue);
+  if (changes.pronunciations) pronunciations = changes.pronunciations.newValue || [];
+  if (changes.historyLimit) historyLimit = changes.historyLimit.newValue || CONFIG.DEFAULT_HISTORY_LIMIT;
+  if (changes.exportChapterMode) exportChapterMode = changes.exportChapterMode.newValue || CONFIG.DEFAULT_EXPORT_CHAPTER_MODE;
+  if (changes.exportChapterSize) exportChapterSize = changes.exportChapterSize.newValue || CONFIG.DEFAULT_EXPORT_CHAPTER_SIZE;
+  if (changes.exportSubtitles) exportSubtitles = changes.exportSubtitles.newValue || CONFIG.DEFAULT_EXPORT_SUBTITLES;
+  if (changes.playerOverlay) {
+    playerOverlay = changes.playerOverlay.newValue;
+    if (!playerOverlay && readingTabId !== null) {
+      browser.tabs.sendMessage(readingTabId, { action: "hidePlayer" }).catch(() => {});
+    }
+  }
   if (changes.outputVolume && gainNode) gainNode.gain.value = changes.outputVolume.newValue;
+  if ((changes.profiles || changes.activeProfileId) && !isMobile) createContextMenu();
 });
 
+/**
+ * Stop playback in every mode and end the current session
+ */
+function stopPlayback() {
+  activeQueueItemId = null;
+  activeHistoryId = null;
+  
+  currentReading = null;
+  
+  resetSentenceSession();
+  resetStreamSession();
+  
+  if (currentAbortController) {
+    currentAbortController.abort();
+    currentAbortController = null;
+  }
+  
+  playback.stop();
+  clearHighlight();
+}
+
+/**
+ * Give up on a reading after an API or playback error, unless another
+ * reading has started since
+ * @param {number} session - playback.session the failed work belongs to
+ */
+function abandonReading(session) {
+  if (playback.session !== session) return;
+  stopStreamHighlighting();
+  playback.stop();
+  clearHighlight();
+}
+
+/**
+ * Find an open tab still showing a page, to highlight text read from it
+ * @param {string} url - Page URL
+ * @param {number|null} [tabId] - Tab the text came from, checked first
+ * @returns {Promise<number|undefined>} Tab id
+ */
+async function findSourceTab(url, tabId = null) {
+  if (!url) return undefined;
+  if (tabId !== null) {
+    try {
+      const tab = await browser.tabs.get(tabId);
+      if (tab.url === url) return tab.id;
+    } catch (error) {
+      // Tab was closed
+    }
+  }
+  const tabs = await browser.tabs.query({});
+  const tab = tabs.find((t) => t.url === url);
+  return tab ? tab.id : undefined;
+}
+
+/**
+ * Read an item of the reading queue; reading continues with the following items
+ * @param {string} [itemId] - Item to start with, defaults to the first one
+ * @returns {Promise<void>}
+ */
+async function playReadingQueue(itemId) {
+  const items = await loadReadingQueue();
+  const item = itemId ? items.find((i) => i.id === itemId) : items[0];
+  if (!item) return;
+
+  const tabId = await findSourceTab(item.url, item.tabId);
+  processText(item.text, tabId, {
+    queueItemId: item.id,
+    source: { title: item.title, url: item.url }
+  });
+}
+
+/**
+ * Run history updates one after another, so concurrent writes don't overwrite each other
+ * @param {function(): Promise<void>} write
+ */
+function writeHistory(write) {
+  historyWrites = historyWrites
+    .then(write)
+    .catch((error) => console.warn("Failed to update reading history:", error));
+}
+
+/**
+ * Record the start of a reading in the history
+ * @param {string} entryId - New id, or the id of the entry being resumed
+ * @param {string} text
+ * @param {string} voice - Voice the text is read with
+ * @param {{title: string, url: string}} source - Page the text came from
+ */
+function recordHistory(entryId, text, voice, source) {
+  writeHistory(async () => {
+    const previous = (await loadReadingHistory()).find((entry) => entry.id === entryId);
+    await saveHistoryEntry({
+      id: entryId,
+      text,
+      title: source.title || (previous ? previous.title : ""),
+      url: source.url || (previous ? previous.url : ""),
+      voice,
+      timestamp: Date.now(),
+      sentenceIndex: previous ? previous.sentenceIndex : 0,
+      sentenceCount: previous ? previous.sentenceCount : 0
+    }, historyLimit);
+  });
+}
+
+/**
+ * Remember the sentence being played, for resuming. Rewriting the history on
+ * every sentence would rebuild open history lists each time, so the position
+ * is saved on pause, stop and finish, and at most every HISTORY_SAVE_INTERVAL
+ * while playing.
+ * @param {number} index - Sentence index
+ * @param {number} [count] - Number of sentences, once known
+ */
+function trackHistoryPosition(index, count) {
+  if (!activeHistoryId) return;
+  const changes = count === undefined ? { sentenceIndex: index } : { sentenceIndex: index, sentenceCount: count };
+
+  if (pendingHistoryPosition && pendingHistoryPosition.entryId === activeHistoryId) {
+    Object.assign(pendingHistoryPosition.changes, changes);
+  } else {
+    saveHistoryPosition();
+    pendingHistoryPosition = { entryId: activeHistoryId, changes };
+  }
+  if (Date.now() - historyPositionSavedAt >= CONFIG.HISTORY_SAVE_INTERVAL) saveHistoryPosition();
+}
+
+/**
+ * Write the reading position tracked since the last save
+ */
+function saveHistoryPosition() {
+  if (!pendingHistoryPosition) return;
+  const { entryId, changes } = pendingHistoryPosition;
+  pendingHistoryPosition = null;
+  historyPositionSavedAt = Date.now();
+  writeHistory(() => updateHistoryEntry(entryId, changes));
+}
+
+/**
+ * Resume, re-read or download a history entry
+ * @param {string} entryId
+ * @param {'resume'|'reread'|'download'} mode
+ * @returns {Promise<void>}
+ */
+async function playHistoryEntry(entryId, mode) {
+  const entry = (await loadReadingHistory()).find((e) => e.id === entryId);
+  if (!entry) return;
+
+  if (mode === "download") {
+    // Like processText's download mode: Stop cancels the export
+    stopPlayback();
+    const controller = new AbortController();
+    currentAbortController = controller;
+    const options = { ...getSpeechOptions(), voice: entry.voice };
+    exportSpeech(entry.text, { title: entry.title, url: entry.url }, options, controller.signal).then((saved) => {
+      if (saved) playback.finish();
+    });
+    return;
+  }
+
+  const tabId = await findSourceTab(entry.url);
+  processText(entry.text, tabId, {
+    historyId: entry.id,
+    startIndex: mode === "resume" ? entry.sentenceIndex : 0
+  });
+}
+
+/**
+ * Append a selection to the reading queue
+ * @param {string} text
+ * @param {browser.tabs.Tab} [tab] - Tab the text was selected in
+ * @returns {Promise<void>}
+ */
+async function queueSelection(text, tab) {
+  try {
+    await addToReadingQueue(text, tab ? { title: tab.title, url: tab.url, tabId: tab.id } : {});
+    showToast("Added to reading queue.", "success");
+  } catch (error) {
+    logError("STORAGE", error);
+  }
+}
+
+function nextSentence() {
+  seekToSentence(readingPosition().index + 1);
+}
+
+function previousSentence() {
+  seekToSentence(Math.max(readingPosition().index - 1, 0));
+}
+
+/**
+ * Read the selected text of a tab
+ * @param {number} [tabId] - Tab to read from, defaults to the active tab
+ * @returns {Promise<void>}
+ */
+async function readSelection(tabId) {
+  if (tabId === undefined) {
+    const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+    if (tabs.length === 0) return;
+    tabId = tabs[0].id;
+  }
+
+  try {
+    const results = await browser.tabs.executeScript(tabId, {
+      code: "window.getSelection().toString();",
+    });
+    const selectedText = results && results[0];
+    if (selectedText) {
+      processText(selectedText, tabId);
+    } else {
+      showToast("No text selected.", "info");
+    }
+  } catch (error) {
+    logError("PAGE_EXTRACTION", error);
+  }
+}
+
 browser.runtime.onMessage.addListener((message) => {
-  if (message.action === "stopPlayback") {
-    stopRequested = true;
-    pcmStreamStopped = true;
-    
-    audioQueue.forEach(url => URL.revokeObjectURL(url));
-    audioQueue = [];
-    isPlaying = false;
-    setPlaybackState("idle");
-    
-    if (currentAbortController) {
-      currentAbortController.abort();
-      currentAbortController = null;
+  switch (message.action) {
+    case "stopPlayback":
+      stopPlayback();
+      break;
+    case "pausePlayback":
+      playback.pause();
+      break;
+    case "resumePlayback":
+      playback.resume();
+      break;
+    case "nextSentence":
+      nextSentence();
+      break;
+    case "previousSentence":
+      previousSentence();
+      break;
+    case "seekToSentence":
+      seekToSentence(message.index);
+      break;
+    case "seekToPosition":
+      seekToPosition(message.fraction);
+      break;
+    case "setPlaybackRate":
+      // Speed slider of the floating player
+      if (message.rate >= CONFIG.MIN_PLAYBACK_RATE && message.rate <= CONFIG.MAX_PLAYBACK_RATE) {
+        browser.storage.local.set({ playbackRate: message.rate });
+      }
+      break;
+    case "readPage":
+      readPage();
+      break;
+    case "playQueue":
+      playReadingQueue(message.itemId);
+      break;
+    case "playHistory":
+      playHistoryEntry(message.entryId, message.mode);
+      break;
+    case "trimHistory":
+      writeHistory(() => trimReadingHistory(message.limit));
+      break;
+    case "previewVoice":
+      previewVoice(message.voice, message.text);
+      break;
+    case "getCacheStats":
+      return getAudioCacheStats();
+    case "clearAudioCache":
+      return clearAudioCache();
+  }
+});
+
+// Keyboard shortcuts, configurable in the options page or about:addons
+// (the commands API is not available on Android)
+browser.commands?.onCommand.addListener((command) => {
+  switch (command) {
+    case "read-selection":
+      readSelection();
+      break;
+    case "read-page":
+      readPage();
+      break;
+    case "toggle-pause":
+      playback.toggle();
+      break;
+    case "stop-playback":
+      stopPlayback();
+      break;
+    case "next-sentence":
+      nextSentence();
+      break;
+    case "previous-sentence":
+      previousSentence();
+      break;
+  }
+});
+
+function createContextMenu() {
+  browser.contextMenus.removeAll(async () => {
+    browser.contextMenus.create(
+      {
+        id: "readText",
+        title: "Read Selected Text",
+        contexts: ["selection"],
+      },
+      () => {},
+    );
+    browser.contextMenus.create(
+      {
+        id: "addToQueue",
+        title: "Add to Queue",
+        contexts: ["selection"],
+      },
+      () => {},
+    );
+    browser.contextMenus.create(
+      {
+        id: "readPage",
+        title: "Read Page",
+        contexts: ["page"],
+      },
+      () => {},
+    );
+
+    // Quick profile switching, only useful with more than one profile
+    const { profiles, activeProfileId } = await loadProfiles();
+    if (profiles.length > 1) {
+      const contexts = ["selection", "page", "browser_action"];
+      browser.contextMenus.create({ id: "profiles", title: "Server Profile", contexts }, () => {});
+      profiles.forEach((profile) => {
+        browser.contextMenus.create(
+          {
+            id: `profile:${profile.id}`,
+            parentId: "profiles",
+            title: profile.name,
+            type: "radio",
+            checked: profile.id === activeProfileId,
+            contexts,
+          },
+          () => {},
+        );
+      });
     }
-    
-    if (audioContext) {
-      audioContext.close();
-      audioContext = null;
+  });
+}
+
+browser.runtime.onInstalled.addListener(() => {
+  createContextMenu();
+});
+
+browser.contextMenus.onShown.addListener((info) => {
+  createContextMenu();
+});
+
+browser.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === "readText" && info.selectionText) {
+    processText(info.selectionText, tab && tab.id);
+  }
+  if (info.menuItemId === "addToQueue" && info.selectionText) {
+    queueSelection(info.selectionText, tab);
+  }
+  if (info.menuItemId === "readPage") {
+    readPage(tab && tab.id);
+  }
+  if (String(info.menuItemId).startsWith("profile:")) {
+    // storage.onChanged picks up the new settings
+    activateProfile(String(info.menuItemId).slice("profile:".length))
+      .catch((error) => logError('STORAGE', error));
+  }
+});
+
+/**
+ * Inject the highlighter into the tab the text is read from
+ * @param {number|null|undefined} tabId - Source tab, if the text came from a page
+ * @returns {Promise<void>}
+ */
+async function prepareHighlighting(tabId) {
+  readingTabId = null;
+  if (tabId === undefined || tabId === null || tabId < 0) return;
+
+  try {
+    await browser.tabs.executeScript(tabId, { file: "/content/highlight.js" });
+    readingTabId = tabId;
+    browser.tabs.sendMessage(tabId, { action: "clearHighlight", reset: true }).catch(() => {});
+  } catch (error) {
+    // Restricted pages (about:, addons.mozilla.org) cannot be scripted
+    console.warn("Highlighting unavailable for this tab:", error);
+  }
+}
+
+/**
+ * Open the floating player in the tab being read, when the option is on
+ * @returns {Promise<void>}
+ */
+async function showPlayerOverlay() {
+  if (!playerOverlay || readingTabId === null) return;
+
+  try {
+    await browser.tabs.executeScript(readingTabId, { file: "/content/player.js" });
+    await browser.tabs.sendMessage(readingTabId, { action: "showPlayer" });
+  } catch (error) {
+    console.warn("Floating player unavailable for this tab:", error);
+  }
+}
+
+/**
+ * Highlight a sentence in the source page and scroll it into view, and show
+ * it in the OS media controls
+ * @param {string} sentence - Sentence currently being spoken
+ */
+function highlightSentence(sentence) {
+  updateMediaSession(sentence);
+  if (readingTabId === null) return;
+  browser.tabs.sendMessage(readingTabId, { action: "highlightText", text: sentence }).catch(() => {});
+}
+
+/**
+ * Remove the highlight from the source page
+ */
+function clearHighlight() {
+  if (readingTabId === null) return;
+  browser.tabs.sendMessage(readingTabId, { action: "clearHighlight" }).catch(() => {});
+}
+
+/**
+ * @typedef {Object} StreamProgress
+ * @property {number} played - Seconds of audio played
+ * @property {number} received - Seconds of audio received so far
+ * @property {boolean} done - Whether the whole stream has been received
+ */
+
+/**
+ * Progress of the PCM stream, in seconds of audio whatever the playback rate
+ * @returns {StreamProgress|null}
+ */
+function pcmStreamProgress() {
+  if (!playback.context) return null;
+  const now = playback.context.currentTime;
+  const playing = pcmSources.find((entry) => entry.end > now);
+  return {
+    played: playing ? playing.offset + Math.max(0, now - playing.start) * playing.rate : pcmReceivedTime,
+    received: pcmReceivedTime,
+    done: pcmStreamDone
+  };
+}
+
+/**
+ * @typedef {Object} ScheduledPCM
+ * @property {AudioBufferSourceNode} source
+ * @property {AudioBuffer} buffer
+ * @property {number} offset - Position of the buffer in the stream, in seconds of audio
+ * @property {number} start - Context time the buffer starts (or would have started) at
+ * @property {number} end - Context time it ends at
+ * @property {number} rate - Playback rate it was scheduled with
+ */
+
+/**
+ * Schedule a PCM buffer on the stream's context
+ * @param {AudioBuffer} buffer
+ * @param {number} offset - Position of the buffer in the stream, in seconds of audio
+ * @param {number} start - Context time to start at
+ * @param {number} [skip] - Seconds of the buffer already played
+ */
+function schedulePCMBuffer(buffer, offset, start, skip = 0) {
+  const source = playback.context.createBufferSource();
+  source.buffer = buffer;
+  source.playbackRate.value = playbackRate;
+  source.connect(gainNode);
+  source.start(start, skip);
+
+  const entry = {
+    source,
+    buffer,
+    offset,
+    start: start - skip / playbackRate,
+    end: start + (buffer.duration - skip) / playbackRate,
+    rate: playbackRate
+  };
+  pcmSources.push(entry);
+  pcmPlaybackTime = entry.end;
+
+  source.onended = () => {
+    source.disconnect();
+    pcmSources = pcmSources.filter((scheduled) => scheduled !== entry);
+  };
+}
+
+/**
+ * Reschedule the PCM audio not played yet at the current playback rate.
+ * Changing the rate of the sources alone would leave gaps or overlaps
+ * between buffers that were scheduled back to back.
+ */
+function reschedulePCM() {
+  const now = playback.context.currentTime;
+  const pending = pcmSources.filter((entry) => entry.end > now);
+  pcmSources = [];
+  pcmPlaybackTime = now;
+
+  pending.forEach((entry) => {
+    entry.source.onended = null;
+    entry.source.stop();
+    entry.source.disconnect();
+    const skip = Math.max(0, now - entry.start) * entry.rate;
+    schedulePCMBuffer(entry.buffer, entry.offset, pcmPlaybackTime, skip);
+  });
+}
+
+/**
+ * Set the rate and pitch handling of an audio element
+ * @param {HTMLAudioElement} audio
+ */
+function setAudioRate(audio) {
+  audio.preservesPitch = true;
+  // Loading a source resets playbackRate to the default rate
+  audio.defaultPlaybackRate = playbackRate;
+  audio.playbackRate = playbackRate;
+}
+
+/**
+ * Apply a playback rate change to the audio playing now
+ */
+function applyPlaybackRate() {
+  if (playback.audio) setAudioRate(playback.audio);
+  if (playback.context && pcmSources.length > 0) reschedulePCM();
+  updateMediaSession();
+}
+
+/**
+ * Estimated position in the streamed text.
+ * The stream carries no sentence boundaries, so the audio is spread over the
+ * sentences by character count; text skipped when resuming counts at the same rate.
+ * @returns {{elapsed: number, duration: number, index: number, finished: boolean}|null} Seconds of audio
+ */
+function streamTimeline() {
+  const progress = streamProgress && streamProgress();
+  if (!progress || streamSentences.length === 0) return null;
+
+  const countChars = (sentences) => sentences.reduce((sum, sentence) => sum + sentence.length, 0);
+  const sentences = streamSentences.slice(pcmFirstSentenceIndex);
+  const totalChars = countChars(sentences);
+  const { played, received, done } = progress;
+  const estimatedTotal = done
+    ? received
+    : Math.max(received, totalChars / (CONFIG.ESTIMATED_CHARS_PER_SECOND * speechSpeed));
+  if (estimatedTotal <= 0 || totalChars === 0) return null;
+
+  const charsPerSecond = totalChars / estimatedTotal;
+  const playedChars = played * charsPerSecond;
+  let index = 0;
+  let charCount = sentences[0].length;
+  while (index < sentences.length - 1 && charCount <= playedChars) {
+    index++;
+    charCount += sentences[index].length;
+  }
+
+  const skipped = countChars(streamSentences.slice(0, pcmFirstSentenceIndex)) / charsPerSecond;
+  return {
+    elapsed: skipped + played,
+    duration: skipped + estimatedTotal,
+    index: pcmFirstSentenceIndex + index,
+    finished: done && played >= received
+  };
+}
+
+/**
+ * Follow a stream of streamSentences with the page highlight
+ * @param {function(): (StreamProgress|null)} [getProgress] - Defaults to the PCM stream
+ */
+function startStreamHighlighting(getProgress = pcmStreamProgress) {
+  stopStreamHighlighting();
+  streamProgress = getProgress;
+  streamSentenceIndex = -1;
+  if (streamSentences.length === 0) return;
+
+  streamHighlightTimer = setInterval(() => {
+    const timeline = streamTimeline();
+    if (!timeline) return;
+
+    if (timeline.finished) {
+      stopStreamHighlighting();
+      clearHighlight();
+      return;
     }
-    if (currentAudio) {
-      currentAudio.pause();
-      currentAudio = null;
+
+    if (timeline.index !== streamSentenceIndex) {
+      streamSentenceIndex = timeline.index;
+      highlightSentence(streamSentences[timeline.index]);
+      trackHistoryPosition(timeline.index);
     }
+  }, CONFIG.HIGHLIGHT_INTERVAL);
+}
+
+/**
+ * Forget the sentences and progress of the last stream
+ */
+function resetStreamSession() {
+  stopStreamHighlighting();
+  streamSentences = [];
+  streamSentenceIndex = -1;
+  streamProgress = null;
+}
+
+function stopStreamHighlighting() {
+  if (streamHighlightTimer) {
+    clearInterval(streamHighlightTimer);
+    streamHighlightTimer = null;
   }
+}
+
+/**
+ * Release the audio of the current sentence session
+ */
+function resetSentenceSession() {
+  sessionAudio.forEach(url => url && URL.revokeObjectURL(url));
+  sessionSentences = [];
+  sessionAudio = [];
+  sessionDurations = [];
+  failedSentences = new Set();
+  currentSentenceIndex = -1;
+  inFlightSentences = new Set();
+  sessionOptions = null;
+}
+
+/**
+ * Play a sentence of the current session.
+ * If its audio is not fetched yet, playback resumes once it arrives; while
+ * paused the sentence is only made ready.
+ * @param {number} index - Sentence index
+ * @returns {Promise<void>}
+ */
+async function playSentence(index) {
+  playback.release();
+
+  if (index >= sessionSentences.length) {
+    currentSentenceIndex = sessionSentences.length;
+    playback.finish();
+    return;
+  }
+
+  currentSentenceIndex = index;
+  scheduleSentenceFetches();
+  trackHistoryPosition(index);
+
+  if (failedSentences.has(index)) {
+    playSentence(index + 1);
+    return;
+  }
+
+  const audioUrl = sessionAudio[index];
+  if (!audioUrl) {
+    // Picked up by onSentenceFetched when the audio is ready
+    playback.waitForAudio();
+    return;
+  }
+
+  const audio = new Audio(audioUrl);
+  setAudioRate(audio);
+
+  try {
+    const storedVolume = (await browser.storage.local.get("outputVolume")).outputVolume ?? CONFIG.DEFAULT_VOLUME;
+    if (currentSentenceIndex !== index) return;
+    audio.volume = storedVolume;
+
+    audio.onloadedmetadata = () => {
+      if (Number.isFinite(audio.duration)) sessionDurations[index] = audio.duration;
+    };
+
+    audio.onended = () => {
+      if (playback.audio !== audio) return;
+      playSentence(index + 1);
+    };
+
+    audio.onerror = (error) => {
+      if (playback.audio !== audio) return;
+      logError('AUDIO_PLAYBACK', error);
+      playSentence(index + 1);
+    };
+
+    await playback.playAudio(audio);
+    if (playback.audio === audio) highlightSentence(sessionSentences[index]);
+  } catch (error) {
+    if (playback.audio === audio && error.name !== 'AbortError') {
+      logError('AUDIO_PLAYBACK', error);
+      playSentence(index + 1);
+    }
+  }
+}
+
+/**
+ * Jump to any sentence of the current reading. Streams are requested again
+ * from that sentence.
+ * @param {number} index - Sentence index
+ */
+function seekToSentence(index) {
+  const { sentences } = readingPosition();
+  if (!Number.isInteger(index) || index < 0 || index >= sentences.length) return;
+
+  if (sessionSentences.length === 0) {
+    if (!currentReading) return;
+    processText(currentReading.text, currentReading.tabId, {
+      queueItemId: activeQueueItemId,
+      historyId: activeHistoryId,
+      startIndex: index,
+      source: currentReading.source,
+      headings: currentReading.headings
+    });
+    return;
+  }
+
+  // After the end of the reading, playback starts again
+  if (playback.state === "idle") playback.begin("sentences");
+  failedSentences.delete(index);
+  playSentence(index);
+}
+
+/**
+ * Jump to a position of the current reading, to the start of the sentence there
+ * @param {number} fraction - Position between 0 and 1
+ */
+function seekToPosition(fraction) {
+  if (!(fraction >= 0 && fraction <= 1)) return;
+
+  const { sentences } = readingPosition();
+  if (sentences.length === 0) {
+    // Short text played as one file
+    if (playback.audio && Number.isFinite(playback.audio.duration)) {
+      playback.audio.currentTime = fraction * playback.audio.duration;
+    }
+    return;
+  }
+
+  const durations = sessionSentences.length > 0
+    ? estimateSentenceDurations()
+    : sentences.map((sentence) => sentence.length);
+  const target = fraction * durations.reduce((sum, duration) => sum + duration, 0);
+  let index = 0;
+  let time = durations[0];
+  while (index < durations.length - 1 && time <= target) {
+    index++;
+    time += durations[index];
+  }
+  seekToSentence(index);
+}
+
+/**
+ * Duration of each sentence of the session: measured once played, otherwise
+ * estimated from its length at the speaking rate measured so far
+ * @returns {number[]} Seconds of audio
+ */
+function estimateSentenceDurations() {
+  let measuredChars = 0;
+  let measuredTime = 0;
+  sessionDurations.forEach((duration, index) => {
+    if (duration === undefined) return;
+    measuredChars += sessionSentences[index].length;
+    measuredTime += duration;
+  });
+  const charsPerSecond = measuredTime > 0
+    ? measuredChars / measuredTime
+    : CONFIG.ESTIMATED_CHARS_PER_SECOND * (sessionOptions ? sessionOptions.speed : speechSpeed);
+
+  return sessionSentences.map((sentence, index) => sessionDurations[index] ?? sentence.length / charsPerSecond);
+}
+
+/**
+ * Sentences of the current reading and the one playing, in any mode
+ * @returns {{sentences: string[], index: number}}
+ */
+function readingPosition() {
+  if (sessionSentences.length > 0) return { sentences: sessionSentences, index: currentSentenceIndex };
+  return { sentences: streamSentences, index: streamSentenceIndex };
+}
+
+/**
+ * @typedef {Object} PlaybackStatus
+ * @property {string} playbackState - idle | loading | playing | paused
+ * @property {string|null} activeQueueItemId
+ * @property {number} sentenceIndex - -1 when unknown
+ * @property {number} sentenceCount - 0 for short texts read in one piece
+ * @property {number} playbackRate
+ * @property {number} elapsed - Seconds at the current playback rate
+ * @property {number} duration - Seconds, estimated until every part has been received
+ * @property {boolean} estimated - Whether duration is an estimate
+ * @property {string[]} [sentences] - Only sent when the reading changed
+ */
+
+/**
+ * Snapshot of the playback for the popup and the floating player
+ * @returns {PlaybackStatus}
+ */
+function getPlaybackStatus() {
+  const { sentences, index } = readingPosition();
+  let timeline = null;
+  let estimated = false;
+
+  if (sessionSentences.length > 0) {
+    const durations = estimateSentenceDurations();
+    const played = playback.audio ? playback.audio.currentTime : 0;
+    timeline = {
+      elapsed: durations.slice(0, Math.max(currentSentenceIndex, 0)).reduce((sum, duration) => sum + duration, 0) + played,
+      duration: durations.reduce((sum, duration) => sum + duration, 0)
+    };
+    estimated = sessionDurations.filter((duration) => duration !== undefined).length < sessionSentences.length;
+  } else if (streamProgress) {
+    timeline = streamTimeline();
+    const progress = streamProgress();
+    estimated = !(progress && progress.done);
+  } else if (playback.audio && Number.isFinite(playback.audio.duration)) {
+    timeline = { elapsed: playback.audio.currentTime, duration: playback.audio.duration };
+  }
+
+  return {
+    playbackState: playback.state,
+    activeQueueItemId,
+    sentenceIndex: index,
+    sentenceCount: sentences.length,
+    playbackRate,
+    elapsed: timeline ? Math.min(timeline.elapsed, timeline.duration) / playbackRate : 0,
+    duration: timeline ? timeline.duration / playbackRate : 0,
+    estimated
+  };
+}
+
+/**
+ * Push the playback status to every connected popup and floating player
+ */
+function postPlaybackStatus() {
+  if (playbackPorts.size === 0) return;
+
+  const status = getPlaybackStatus();
+  const { sentences } = readingPosition();
+  playbackPorts.forEach((sentSentences, port) => {
+    if (sentSentences !== sentences) {
+      playbackPorts.set(port, sentences);
+      port.postMessage({ ...status, sentences });
+    } else {
+      port.postMessage(status);
+    }
+  });
+}
+
+browser.runtime.onConnect.addListener((port) => {
+  if (port.name !== "playback") return;
+
+  playbackPorts.set(port, null);
+  port.onDisconnect.addListener(() => {
+    playbackPorts.delete(port);
+    if (playbackPorts.size === 0) {
+      clearInterval(playbackStatusTimer);
+      playbackStatusTimer = null;
+    }
+  });
+
+  if (!playbackStatusTimer) {
+    playbackStatusTimer = setInterval(postPlaybackStatus, CONFIG.PROGRESS_INTERVAL);
+  }
+  postPlaybackStatus();
+});
+
+/**
+ * Hook media keys, headset buttons and the OS media controls (Android
+ * notification, desktop overlays) to the playback. Seeking forward or back
+ * moves by sentences, like the next/previous track buttons.
+ */
+function initializeMediaSession() {
+  if (!navigator.mediaSession) return;
+
+  const handlers = {
+    play: () => playback.resume(),
+    pause: () => playback.pause(),
+    stop: () => stopPlayback(),
+    nexttrack: () => nextSentence(),
+    previoustrack: () => previousSentence(),
+    seekforward: () => nextSentence(),
+    seekbackward: () => previousSentence(),
+    seekto: (details) => {
+      const { duration } = getPlaybackStatus();
+      if (duration > 0) seekToPosition(Math.min(Math.max(details.seekTime / duration, 0), 1));
+    }
+  };
+  Object.entries(handlers).forEach(([action, handler]) => {
+    try {
+      navigator.mediaSession.setActionHandler(action, handler);
+    } catch (error) {
+      // Actions the browser doesn't know are skipped
+    }
+  });
+}
+
+/**
+ * Update the OS media controls: page title, a snippet of the sentence being
+ * read, the play state and the position
+ * @param {string} [sentence] - Sentence starting now; keeps the last one if omitted
+ */
+function updateMediaSession(sentence) {
+  const mediaSession = navigator.mediaSession;
+  if (!mediaSession) return;
+
+  if (playback.state === "idle") {
+    mediaSession.metadata = null;
+    mediaSession.playbackState = "none";
+    return;
+  }
+
+  if (sentence !== undefined || !mediaSession.metadata) {
+    const snippet = (sentence || "").replace(/\s+/g, " ").trim();
+    const source = currentReading && currentReading.source;
+    mediaSession.metadata = new MediaMetadata({
+      title: (source && source.title) || "Custom TTS Reader",
+      artist: snippet.length > CONFIG.MEDIA_SNIPPET_LENGTH
+        ? snippet.slice(0, CONFIG.MEDIA_SNIPPET_LENGTH).trimEnd() + "…"
+        : snippet,
+      album: "Custom TTS Reader",
+      artwork: [{ src: browser.runtime.getURL("icons/icon.png"), sizes: "500x500", type: "image/png" }]
+    });
+  }
+  mediaSession.playbackState = playback.state === "paused" ? "paused" : "playing";
+
+  if (typeof mediaSession.setPositionState !== "function") return;
+  // Status times are already scaled by the playback rate
+  const { elapsed, duration } = getPlaybackStatus();
+  try {
+    if (duration > 0) {
+      mediaSession.setPositionState({ duration, position: Math.min(elapsed, duration), playbackRate: 1 });
+    } else {
+      mediaSession.setPositionState();
+    }
+  } catch (error) {
+    console.warn("Media position not updated:", error);
+  }
+}
+
+/**
+ * Called when a sentence's audio has been fetched
+ * @param {number} index - Sentence index
+ */
+function onSentenceFetched(index) {
+  if (index === currentSentenceIndex && !playback.audio) {
+    playSentence(index);
+  }
+}
+
+/**
+ * Find the next sentence that still needs audio, starting at the one being played.
+ * Only sentences within CONFIG.MAX_QUEUE_SIZE of the current one are considered,
+ * so the buffer of fetched-but-unplayed audio stays bounded.
+ * @returns {number} Sentence index, or -1 if nothing needs fetching right now
+ */
+function nextSentenceToFetch() {
+  const start = Math.max(currentSentenceIndex, 0);
+  const end = Math.min(start + CONFIG.MAX_QUEUE_SIZE, sessionSentences.length);
+  for (let i = start; i < end; i++) {
+    if (!sessionAudio[i] && !failedSentences.has(i) && !inFlightSentences.has(i)) return i;
+  }
+  return -1;
+}
+
+/**
+ * Keep up to prefetchCount sentence fetches running in parallel, in playback order.
+ * Called whenever a fetch settles or playback moves to another sentence.
+ */
+function scheduleSentenceFetches() {
+  if (!currentAbortController) return;
+
+  const controller = currentAbortController;
+  const sentences = sessionSentences;
+  const options = sessionOptions;
+
+  while (inFlightSentences.size < prefetchCount) {
+    const index = nextSentenceToFetch();
+    if (index === -1) break;
+
+    inFlightSentences.add(index);
+    fetchSentenceAudio(sentences[index], controller.signal, options)
+      .then((audioUrl) => {
+        if (sessionSentences !== sentences) {
+          URL.revokeObjectURL(audioUrl);
+          return;
+        }
+        inFlightSentences.delete(index);
+        sessionAudio[index] = audioUrl;
+        onSentenceFetched(index);
+        scheduleSentenceFetches();
+      })
+      .catch((error) => {
+        if (sessionSentences !== sentences || error.name === 'AbortError') return;
+        console.error("Error processing sentence:", error);
+        // Continue with next sentence instead of stopping completely
+        inFlightSentences.delete(index);
+        failedSentences.add(index);
+        if (index === currentSentenceIndex && !playback.audio) playSentence(index + 1);
+        scheduleSentenceFetches();
+      });
+  }
+}
+
+/**
+ * Resolve a voice setting, which may name a saved blend preset ("preset:Name")
+ * @param {string} voiceSetting
+ * @returns {string} Voice string sent to the server
+ */
+function resolveVoice(voiceSetting) {
+  if (voiceSetting.startsWith(CONFIG.VOICE_PRESET_PREFIX)) {
+    const preset = voicePresets[voiceSetting.slice(CONFIG.VOICE_PRESET_PREFIX.length)];
+    return preset || CONFIG.DEFAULT_VOICE;
+  }
+  return voiceSetting;
+}
+
+/**
+ * @typedef {Object} SpeechOptions
+ * @property {string[]} apiUrls - API URL followed by its fallbacks
+ * @property {string} apiKey
+ * @property {string} model
+ * @property {string} voice - Resolved voice string
+ * @property {number} speed
+ * @property {boolean} [ruleSpeed] - Speed set by a reading rule, kept when the global speed changes
+ */
+
+/**
+ * Speech request options from the current settings
+ * @returns {SpeechOptions}
+ */
+function getSpeechOptions() {
+  return {
+    apiUrls: [apiUrl, ...fallbackUrls],
+    apiKey: apiKey,
+    model: model,
+    voice: resolveVoice(voice),
+    speed: speechSpeed,
+    stream: streamSettings({ streamFormat, pcmSampleRate, pcmChannels }),
+  };
+}
+
+/**
+ * Speech request options for a text, with matching voice rules applied
+ * @param {string} text - Text about to be read
+ * @param {number} [tabId] - Tab the text was taken from
+ * @returns {Promise<SpeechOptions>}
+ */
+async function resolveSpeechOptions(text, tabId) {
+  const options = getSpeechOptions();
+  if (readingRules.length === 0) return options;
+
+  let hostname = null;
+  if (tabId !== undefined) {
+    try {
+      const tab = await browser.tabs.get(tabId);
+      hostname = new URL(tab.url).hostname;
+    } catch (error) {
+      // Tab closed or URL without a host (about:, file:)
+    }
+  }
+
+  const { profiles } = await loadProfiles();
+  return applyReadingRules(options, readingRules, {
+    hostname,
+    language: detectLanguage(text),
+    profiles,
+    resolveVoice
+  });
+}
+
+/**
+ * Text actually sent to the server. Sentences keep their original text
+ * so they can still be found on the page for highlighting.
+ * @param {string} text
+ * @returns {string}
+ */
+function prepareSpeechInput(text) {
+  return applyPronunciations(normalizeText(text, normalizationRules), pronunciations);
+}
+
+/**
+ * Build the fetch options of a speech request
+ * @param {Object} payload - Request body
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @param {SpeechOptions} options
+ * @returns {RequestInit}
+ */
+function speechRequest(payload, signal, options) {
+  const headers = {
+    "Content-Type": "application/json",
+    Authorization: `Bearer ${options.apiKey}`,
+  };
+
+  return {
+    method: "POST",
+    headers: headers,
+    body: JSON.stringify(payload),
+    signal: signal,
+  };
+}
+
+/**
+ * Send a speech request to the TTS server
+ * @param {string} input - Text to convert to speech
+ * @param {string} responseFormat - Audio format requested from the server
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @param {SpeechOptions} [options] - Defaults to the current settings
+ * @returns {Promise<Response>} Successful response
+ */
+async function fetchSpeech(input, responseFormat, signal, options = getSpeechOptions()) {
+  const payload = {
+    model: options.model,
+    input: input,
+    voice: options.voice,
+    response_format: responseFormat,
+    speed: options.speed,
+  };
+
+  return fetchWithFailover(options.apiUrls, "audio/speech", speechRequest(payload, signal, options));
+}
 
-  if (message.action === "pausePlayback") {
-    if (streamingMode && audioContext && playbackState === "playing") {
-      audioContext.suspend().catch(() => {});
-      setPlaybackState("paused");
-    } else if (currentAudio && !currentAudio.paused) {
-      currentAudio.pause();
-      setPlaybackState("paused");
-    }
-  }
+/**
+ * Send a speech request to Kokoro-FastAPI's captioned speech endpoint
+ * (/dev/captioned_speech, next to /v1), which returns word timestamps
+ * together with the audio
+ * @param {string} input - Text to convert to speech
+ * @param {string} responseFormat - Audio format requested from the server
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @param {SpeechOptions} options
+ * @returns {Promise<{blob: Blob, words: CaptionWord[]}>}
+ */
+async function fetchCaptionedSpeech(input, responseFormat, signal, options) {
+  const payload = {
+    model: options.model,
+    input: input,
+    voice: options.voice,
+    response_format: responseFormat,
+    speed: options.speed,
+    stream: false,
+  };
 
-  if (message.action === "resumePlayback") {
-    if (streamingMode && audioContext && playbackState === "paused") {
-      audioContext.resume().catch(() => {});
-      setPlaybackState("playing");
-    } else if (currentAudio && currentAudio.paused) {
-      currentAudio.play().catch(() => {});
-      setPlaybackState("playing");
-    }
+  // Optional endpoint: a server without it must not be demoted for the speech requests
+  const response = await fetchWithFailover(options.apiUrls, "../dev/captioned_speech", speechRequest(payload, signal, options), { trackHealth: false });
+  const data = await response.json();
+  if (typeof data.audio !== "string" || !Array.isArray(data.timestamps)) {
+    throw new Error("Captioned speech response without audio or timestamps");
   }
+  const audio = Uint8Array.from(atob(data.audio), (char) => char.charCodeAt(0));
+  return { blob: new Blob([audio]), words: data.timestamps };
+}
+
+/**
+ * Cache key of a speech request
+ * @param {string} input - Text to convert to speech
+ * @param {string} responseFormat - Audio format requested from the server
+ * @param {SpeechOptions} [options] - Defaults to the current settings
+ * @returns {Promise<string|null>} Key, or null when the cache is disabled
+ */
+async function speechCacheKey(input, responseFormat, options = getSpeechOptions()) {
+  if (!cacheEnabled) return null;
+  return audioCacheKey({
+    input,
+    voice: options.voice,
+    model: options.model,
+    speed: options.speed,
+    format: responseFormat
+  });
+}
 
-  if (message.action === "getPlaybackState") {
-    return Promise.resolve({ playbackState });
+/**
+ * Look up cached audio without letting cache failures break playback
+ * @param {string|null} cacheKey
+ * @returns {Promise<Blob|null>}
+ */
+async function lookupCachedAudio(cacheKey) {
+  if (!cacheKey) return null;
+  try {
+    return await getCachedAudio(cacheKey);
+  } catch (error) {
+    console.warn("Audio cache lookup failed:", error);
+    return null;
   }
-});
+}
 
-function createContextMenu() {
-  browser.contextMenus.removeAll(() => {
-    browser.contextMenus.create(
-      {
-        id: "readText",
-        title: "Read Selected Text",
-        contexts: ["selection"],
-      },
-      () => {},
-    );
+/**
+ * Store generated audio in the background
+ * @param {string|null} cacheKey
+ * @param {Blob} blob
+ */
+function storeCachedAudio(cacheKey, blob) {
+  if (!cacheKey) return;
+  putCachedAudio(cacheKey, blob, cacheSizeLimit * 1024 * 1024).catch((error) => {
+    console.warn("Failed to cache audio:", error);
   });
 }
 
-browser.runtime.onInstalled.addListener(() => {
-  createContextMenu();
-});
-
-browser.contextMenus.onShown.addListener((info) => {
-  createContextMenu();
-});
+/**
+ * Fetch generated audio, served from the local cache when possible
+ * @param {string} input - Text to convert to speech
+ * @param {string} responseFormat - Audio format requested from the server
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @param {SpeechOptions} [options] - Defaults to the current settings
+ * @returns {Promise<Blob>}
+ */
+async function fetchSpeechBlob(input, responseFormat, signal, options = getSpeechOptions()) {
+  const cacheKey = await speechCacheKey(input, responseFormat, options);
+  const cached = await lookupCachedAudio(cacheKey);
+  if (cached) return cached;
 
-browser.contextMenus.onClicked.addListener((info) => {
-  if (info.menuItemId === "readText" && info.selectionText) {
-    processText(info.selectionText);
-  }
-});
+  const response = await fetchSpeech(input, responseFormat, signal, options);
+  const blob = await response.blob();
+  storeCachedAudio(cacheKey, blob);
+  return blob;
+}
 
 /**
- * Split text into sentences for processing
- * Handles English (.), Chinese (。), and line breaks (\n)
- * @param {string} text - Text to split
- * @returns {string[]} Array of sentences
+ * Fetch audio for a single sentence
+ * @param {string} sentence - Text to convert to speech
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @param {SpeechOptions} [options] - Defaults to the current settings
+ * @returns {Promise<string>} Object URL for audio blob
  */
-function splitTextIntoSentences(text) {
-  const sentences = [];
-  let match;
-  
-  while ((match = CONFIG.SENTENCE_REGEX.exec(text)) !== null) {
-    const sentence = match[0].trim();
-    if (sentence) {
-      sentences.push(sentence);
+async function fetchSentenceAudio(sentence, signal, options = getSpeechOptions()) {
+  try {
+    const blob = await fetchSpeechBlob(prepareSpeechInput(sentence), "mp3", signal, options);
+    return URL.createObjectURL(blob);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw error; // Don't log aborted requests
     }
+    logError('API_REQUEST', error);
+    throw error;
   }
-  
-  // Reset regex lastIndex for reuse
-  CONFIG.SENTENCE_REGEX.lastIndex = 0;
-  
-  return sentences;
 }
 
 /**
- * Play next audio in queue
+ * Save a generated file: with the downloads API on desktop, through a link
+ * in the page on Android
+ * @param {Blob} blob
+ * @param {string} filename
  * @returns {Promise<void>}
  */
-async function playNextAudio() {
-  if (isPlaying || audioQueue.length === 0) {
+async function saveAudioFile(blob, filename) {
+  if (!isMobile) {
+    const url = URL.createObjectURL(blob);
+    const downloadId = await browser.downloads.download({
+      url: url,
+      filename: filename,
+      conflictAction: "overwrite",
+      saveAs: true
+    });
+    const releaseUrl = (delta) => {
+      if (delta.id !== downloadId || !delta.state || delta.state.current === "in_progress") return;
+      URL.revokeObjectURL(url);
+      browser.downloads.onChanged.removeListener(releaseUrl);
+    };
+    browser.downloads.onChanged.addListener(releaseUrl);
     return;
   }
-  
-  isPlaying = true;
-  setPlaybackState("playing");
-  const audioUrl = audioQueue.shift();
-  
-  try {
-    currentAudio = new Audio(audioUrl);
-    const storedVolume = (await browser.storage.local.get("outputVolume")).outputVolume ?? CONFIG.DEFAULT_VOLUME;
-    currentAudio.volume = storedVolume;
-    
-    await currentAudio.play();
-    
-    currentAudio.onended = () => {
-      URL.revokeObjectURL(audioUrl);
-      currentAudio = null;
-      isPlaying = false;
-      if (audioQueue.length === 0) {
-        setPlaybackState("idle");
-      }
-      playNextAudio();
-    };
-    
-    currentAudio.onerror = (error) => {
-      logError('AUDIO_PLAYBACK', error);
-      URL.revokeObjectURL(audioUrl);
-      currentAudio = null;
-      isPlaying = false;
-      if (audioQueue.length === 0) {
-        setPlaybackState("idle");
-      }
-      playNextAudio();
-    };
-  } catch (error) {
-    logError('AUDIO_PLAYBACK', error);
-    URL.revokeObjectURL(audioUrl);
-    isPlaying = false;
-    if (audioQueue.length === 0) {
-      setPlaybackState("idle");
-    }
-    playNextAudio();
+
+  const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+  if (tabs.length === 0) throw new Error("No tab to save the file from.");
+  await browser.tabs.executeScript(tabs[0].id, { file: "/content/save-file.js" });
+  await browser.tabs.sendMessage(tabs[0].id, { action: "saveFile", blob, filename });
+  showToast("Download started", "success");
+}
+
+/**
+ * Join the chunks of an export and measure each one when the format allows
+ * @param {Blob[]} blobs - Server responses, in order
+ * @param {Object} format - Entry of DOWNLOAD_FORMATS
+ * @param {{sampleRate: number, channels: number, bytesPerSample: number}} pcmFormat - Format of raw PCM responses
+ * @returns {Promise<{parts: (Uint8Array|Blob)[], durations: number[]|null}>} Durations in seconds
+ */
+async function joinExportParts(blobs, format, pcmFormat) {
+  if (format.join === "mp3") {
+    const parsed = await Promise.all(blobs.map(async (blob) => parseMp3(new Uint8Array(await blob.arrayBuffer()))));
+    return { parts: parsed.map((part) => part.frames), durations: parsed.map((part) => part.duration) };
+  }
+
+  if (format.join === "pcm") {
+    const bytesPerSecond = pcmFormat.sampleRate * pcmFormat.channels * pcmFormat.bytesPerSample;
+    const parts = await Promise.all(blobs.map(async (blob) => new Uint8Array(await blob.arrayBuffer())));
+    return { parts, durations: parts.map((part) => part.length / bytesPerSecond) };
   }
+
+  return { parts: blobs, durations: null };
 }
 
 /**
- * Fetch audio for a single sentence
- * @param {string} sentence - Text to convert to speech
+ * Duration of an audio file the extension cannot parse itself
+ * @param {Blob} blob
+ * @param {number} sampleRate - Rate to decode at, the server's output rate
+ * @returns {Promise<number>} Seconds
+ */
+async function measureAudioDuration(blob, sampleRate) {
+  const context = new OfflineAudioContext(1, 1, sampleRate);
+  const buffer = await context.decodeAudioData(await blob.arrayBuffer());
+  return buffer.duration;
+}
+
+/**
+ * Export a text as one audio file in the download format. Long texts are
+ * synthesized in chunks short enough for the server and joined; MP3 and WAV
+ * files are tagged with the page title, URL and chapters. A subtitle file
+ * is saved next to it when exportSubtitles is set.
+ * @param {string} text - Text to convert to speech
+ * @param {{title?: string, url?: string, headings?: string[]}} page - Source page
+ * @param {SpeechOptions} options
  * @param {AbortSignal} signal - Abort signal for cancellation
- * @returns {Promise<string>} Object URL for audio blob
+ * @returns {Promise<boolean>} Whether the file was saved
  */
-async function fetchSentenceAudio(sentence, signal) {
-  const payload = {
-    model: model,
-    input: sentence,
-    voice: voice,
-    response_format: "mp3",
-    speed: speechSpeed,
-  };
+async function exportSpeech(text, page, options, signal) {
+  // Aborted with signal, or by the first failed part so the others stop too
+  const exportController = new AbortController();
+  const forwardAbort = () => exportController.abort();
+  if (signal.aborted) exportController.abort();
+  signal.addEventListener("abort", forwardAbort);
 
-  const headers = {
-    "Content-Type": "application/json",
-    Authorization: `Bearer ${apiKey}`,
-  };
+  try {
+    const format = DOWNLOAD_FORMATS[downloadFormat] || DOWNLOAD_FORMATS[CONFIG.DEFAULT_DOWNLOAD_FORMAT];
+    const sentences = splitTextIntoSentences(text, detectLanguage(text));
+    // Formats that cannot be joined (FLAC) are requested in one piece, so
+    // long texts may still hit the server timeout; the options page says so
+    const chapterPlan = format.join
+      ? planChapters(sentences, {
+        mode: exportChapterMode,
+        sentencesPerChapter: exportChapterSize,
+        headings: page.headings,
+        title: page.title
+      })
+      : [{ start: 0, title: page.title || "" }];
+    const chunks = planExportChunks(sentences, chapterPlan, format.join ? CONFIG.EXPORT_CHUNK_LENGTH : Infinity);
 
-  const endpoint = apiUrl.endsWith("/")
-    ? apiUrl + "audio/speech"
-    : apiUrl + "/audio/speech";
+    // Subtitles use word timestamps when the server has the captioned speech
+    // endpoint, otherwise each chunk's duration is shared out between its sentences
+    const subtitleFormat = SUBTITLE_FORMATS[exportSubtitles] ? exportSubtitles : null;
+    let captioned = null;
+    if (subtitleFormat) {
+      captioned = await fetchCaptionedSpeech(prepareSpeechInput(chunks[0].text), format.responseFormat, exportController.signal, options)
+        .catch((error) => {
+          if (error.name === 'AbortError') throw error;
+          return null;
+        });
+    }
+    showToast(chunks.length > 1 ? `Preparing download (${chunks.length} parts)...` : "Preparing download...", "success");
 
-  try {
-    const response = await fetch(endpoint, {
-      method: "POST",
-      headers: headers,
-      body: JSON.stringify(payload),
-      signal: signal,
-    });
+    // Chunks are requested prefetchCount at a time, like sentences during playback
+    const results = new Array(chunks.length);
+    let nextChunk = 0;
+    const fetchChunks = async () => {
+      try {
+        while (nextChunk < chunks.length) {
+          const index = nextChunk++;
+          const input = prepareSpeechInput(chunks[index].text);
+          if (!captioned) {
+            results[index] = { blob: await fetchSpeechBlob(input, format.responseFormat, exportController.signal, options) };
+          } else {
+            results[index] = index === 0 ? captioned : await fetchCaptionedSpeech(input, format.responseFormat, exportController.signal, options);
+          }
+        }
+      } catch (error) {
+        exportController.abort();
+        throw error;
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(prefetchCount, chunks.length) }, fetchChunks));
 
-    if (!response.ok) {
-      const error = new Error(`API request failed with status: ${response.status}`);
-      error.status = response.status;
-      throw error;
+    const blobs = results.map((result) => result.blob);
+    // The server's PCM output has the sample rate and channels of the profile
+    const pcmFormat = {
+      sampleRate: options.stream.sampleRate,
+      channels: options.stream.channels,
+      bytesPerSample: CONFIG.PCM_BYTES_PER_SAMPLE
+    };
+    let { parts, durations } = await joinExportParts(blobs, format, pcmFormat);
+    if (subtitleFormat && !durations) {
+      durations = await Promise.all(blobs.map((blob) => measureAudioDuration(blob, pcmFormat.sampleRate)));
     }
 
-    const blob = await response.blob();
-    return URL.createObjectURL(blob);
+    const chapters = chapterPlan.map((chapter) => ({ title: chapter.title, start: 0, end: 0 }));
+    if (durations) {
+      let time = 0;
+      chunks.forEach((chunk, index) => {
+        const chapter = chapters[chunk.chapter];
+        if (index === 0 || chunks[index - 1].chapter !== chunk.chapter) chapter.start = time;
+        time += durations[index];
+        chapter.end = time;
+      });
+    }
+
+    let hostname = "";
+    try {
+      hostname = page.url ? new URL(page.url).hostname : "";
+    } catch (error) {
+      // Not a URL, leave the artist empty
+    }
+
+    const metadata = {
+      title: page.title,
+      artist: hostname,
+      url: page.url,
+      comment: `Read by ${options.voice} (${options.model})`,
+      chapters: durations && chapters.length > 1 ? chapters : []
+    };
+    let file;
+    if (format.join === "mp3") {
+      file = new Blob([buildId3Tag(metadata), ...parts], { type: format.mimeType });
+    } else if (format.join === "pcm") {
+      file = encodeWav(parts, pcmFormat, metadata);
+    } else {
+      file = new Blob(parts, { type: format.mimeType });
+    }
+
+    let subtitles = null;
+    if (subtitleFormat) {
+      const offsets = durations.map((duration, index) =>
+        durations.slice(0, index).reduce((sum, previous) => sum + previous, 0));
+      const cues = captioned
+        ? cuesFromWords(results.map((result) => result.words), offsets)
+        : cuesFromChunks(sentences, chunks, durations);
+      subtitles = new Blob([formatSubtitles(cues, subtitleFormat)], { type: SUBTITLE_FORMATS[subtitleFormat].mimeType });
+    }
+    if (signal.aborted) return false;
+
+    const filename = exportFilename(page.title, format.extension);
+    await saveAudioFile(file, filename);
+    if (subtitles) {
+      await saveAudioFile(subtitles, filename.replace(/[^.]+$/, SUBTITLE_FORMATS[subtitleFormat].extension));
+    }
+    return true;
   } catch (error) {
-    if (error.name === 'AbortError') {
-      throw error; // Don't log aborted requests
+    if (error.name !== 'AbortError') {
+      logError('API_REQUEST', error);
     }
-    logError('API_REQUEST', error);
-    throw error;
+    return false;
+  } finally {
+    signal.removeEventListener("abort", forwardAbort);
   }
 }
 
 /**
  * Process selected text and generate speech
  * @param {string} text - Text to convert to speech
+ * @param {number} [tabId] - Tab the text was taken from, used for highlighting
+ * @param {Object} [reading] - Where the text comes from
+ * @param {string|null} [reading.queueItemId] - Reading queue item being read
+ * @param {string|null} [reading.historyId] - History entry being resumed or re-read
+ * @param {number} [reading.startIndex] - Sentence to start at
+ * @param {{title: string, url: string}} [reading.source] - Source page, when tabId is gone
+ * @param {string[]} [reading.headings] - Page headings, for export chapters
  */
-function processText(text) {
+async function processText(text, tabId, { queueItemId = null, historyId = null, startIndex = 0, source = null, headings = [] } = {}) {
   if (!apiUrl) return;
 
-  stopRequested = false;
-  if (currentAudio) {
-    currentAudio.pause();
-    currentAudio = null;
-  }
-  if (audioContext) {
-    audioContext.close();
-    audioContext = null;
-  }
-  pcmStreamStopped = false;
+  activeQueueItemId = queueItemId;
+  playback.stop();
+  const session = playback.session;
   
-  audioQueue.forEach(url => URL.revokeObjectURL(url));
-  audioQueue = [];
-  isPlaying = false;
+  resetSentenceSession();
   
   if (currentAbortController) {
     currentAbortController.abort();
     currentAbortController = null;
   }
 
-  if (streamingMode) {
-    const payload = {
-      model: model,
-      input: text,
-      voice: voice,
-      response_format: "pcm",
-      speed: speechSpeed,
-    };
+  resetStreamSession();
+  clearHighlight();
+  if (!downloadMode || streamingMode) {
+    await prepareHighlighting(tabId);
+    await showPlayerOverlay();
+  }
 
-    const headers = {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${apiKey}`,
-    };
+  const options = await resolveSpeechOptions(text, tabId);
+  if (playback.session !== session) return;
+  const input = prepareSpeechInput(text);
 
-    const endpoint = apiUrl.endsWith("/")
-      ? apiUrl + "audio/speech"
-      : apiUrl + "/audio/speech";
+  let page = source;
+  if (!page) {
+    const tab = tabId !== undefined && tabId !== null ? await browser.tabs.get(tabId).catch(() => null) : null;
+    page = tab ? { title: tab.title, url: tab.url } : {};
+    if (playback.session !== session) return;
+  }
+  activeHistoryId = historyId || createId();
+  recordHistory(activeHistoryId, text, options.voice, page);
+  currentReading = { text, tabId, source: page, headings };
 
+  if (streamingMode) {
     const controller = new AbortController();
     currentAbortController = controller;
+    const allSentences = splitTextIntoSentences(text, detectLanguage(text));
+    trackHistoryPosition(startIndex, allSentences.length);
 
-    setPlaybackState("playing");
-    fetch(endpoint, {
-      method: "POST",
-      headers: headers,
-      body: JSON.stringify(payload),
-      signal: controller.signal,
-    })
-      .then((response) => {
-        if (!response.ok) {
-          const error = new Error(`API request failed with status: ${response.status}`);
-          error.status = response.status;
-          throw error;
-        }
-        return processPCMStream(response);
-      })
-      .catch((error) => {
-        if (error.name !== 'AbortError') {
-          logError('API_REQUEST', error);
-        }
-      });
-  } 
-  else if (downloadMode) {
-    if (isMobile) {
-      processMobileDownload(text);
-    } else {
-      const payload = {
-        model: model,
-        input: text,
-        voice: voice,
-        response_format: "mp3",
-        speed: speechSpeed,
-      };
+    // Resuming streams only the remaining sentences
+    pcmFirstSentenceIndex = startIndex > 0 && startIndex < allSentences.length ? startIndex : 0;
+    const streamInput = pcmFirstSentenceIndex > 0
+      ? prepareSpeechInput(allSentences.slice(pcmFirstSentenceIndex).join(" "))
+      : input;
+    streamSentences = allSentences;
 
-      const headers = {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${apiKey}`,
-      };
+    const stream = options.stream;
+    const mimeType = STREAM_FORMATS[stream.format].mimeType;
+    const playStream = (response, cacheKey) => mimeType
+      ? processMediaStream(response, cacheKey, mimeType, controller.signal)
+      : processPCMStream(response, cacheKey, stream, controller.signal);
 
-      const endpoint = apiUrl.endsWith("/")
-        ? apiUrl + "audio/speech"
-        : apiUrl + "/audio/speech";
+    const streamSpeech = async () => {
+      const cacheKey = await speechCacheKey(streamInput, stream.format, options);
+      const cached = await lookupCachedAudio(cacheKey);
+      if (controller.signal.aborted) return;
+      if (cached) {
+        return playStream(new Response(cached));
+      }
 
-      const controller = new AbortController();
-      currentAbortController = controller;
+      const response = await fetchSpeech(streamInput, stream.format, controller.signal, options);
+      return playStream(response, cacheKey);
+    };
 
-      fetch(endpoint, {
-        method: "POST",
-        headers: headers,
-        body: JSON.stringify(payload),
-        signal: controller.signal,
-      })
-        .then((response) => {
-          if (!response.ok) {
-            const error = new Error(`API request failed with status: ${response.status}`);
-            error.status = response.status;
-            throw error;
-          }
-          return response.blob();
-        })
-        .then(async (blob) => {
-          const url = URL.createObjectURL(blob);
-          const now = new Date();
-          const timestamp = now.getFullYear() + '-' + 
-            String(now.getMonth() + 1).padStart(2, '0') + '-' + 
-            String(now.getDate()).padStart(2, '0') + '_' + 
-            String(now.getHours()).padStart(2, '0') + '-' + 
-            String(now.getMinutes()).padStart(2, '0') + '-' + 
-            String(now.getSeconds()).padStart(2, '0');
-          await browser.downloads.download({
-            url: url,
-            filename: `tts-audio-${timestamp}.mp3`,
-            conflictAction: "overwrite",
-            saveAs: true
-          });
-        })
-        .catch((error) => {
-          if (error.name !== 'AbortError') {
-            logError('API_REQUEST', error);
-          }
-        });
-    }
+    playback.begin("stream");
+    streamSpeech().catch((error) => {
+      if (error.name !== 'AbortError') {
+        logError('API_REQUEST', error);
+        abandonReading(session);
+      }
+    });
+  } 
+  else if (downloadMode) {
+    const controller = new AbortController();
+    currentAbortController = controller;
+
+    exportSpeech(text, { ...page, headings }, options, controller.signal).then((saved) => {
+      if (saved) playback.finish();
+    });
   } 
   // split text mode
   else {
     const TEXT_LENGTH_THRESHOLD = CONFIG.TEXT_LENGTH_THRESHOLD;
     
     if (text.length > TEXT_LENGTH_THRESHOLD) {
-      const sentences = splitTextIntoSentences(text);
-      
+      sessionSentences = splitTextIntoSentences(text, detectLanguage(text));
+      sessionAudio = sessionSentences.map(() => null);
+      currentSentenceIndex = startIndex < sessionSentences.length ? startIndex : 0;
+      trackHistoryPosition(currentSentenceIndex, sessionSentences.length);
+      sessionOptions = options;
       currentAbortController = new AbortController();
-      
-      const processSentences = async () => {
-        for (const sentence of sentences) {
-          if (stopRequested) break; 
-          
-          try {
-            const audioUrl = await fetchSentenceAudio(sentence, currentAbortController.signal);
-            audioQueue.push(audioUrl);
-            playNextAudio(); 
-          } catch (error) {
-            if (error.name !== 'AbortError') {
-              console.error("Error processing sentence:", error);
-              // Continue with next sentence instead of stopping completely
-            }
-          }
-        }
-        currentAbortController = null;
-      };
-      
-      processSentences();
+      playback.begin("sentences");
+      scheduleSentenceFetches();
     } else {
-      const payload = {
-        model: model,
-        input: text,
-        voice: voice,
-        response_format: "mp3",
-        speed: speechSpeed,
-      };
-
-      const headers = {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${apiKey}`,
-      };
-
-      const endpoint = apiUrl.endsWith("/")
-        ? apiUrl + "audio/speech"
-        : apiUrl + "/audio/speech";
-
       const controller = new AbortController();
       currentAbortController = controller;
+      playback.begin("single");
 
-      fetch(endpoint, {
-        method: "POST",
-        headers: headers,
-        body: JSON.stringify(payload),
-        signal: controller.signal,
-      })
-        .then((response) => {
-          if (!response.ok)
-            throw new Error(`API request failed with status: ${response.status}`);
-          return response.blob();
-        })
+      fetchSpeechBlob(input, "mp3", controller.signal, options)
         .then(async (blob) => {
+          if (controller.signal.aborted) return;
           const url = URL.createObjectURL(blob);
-          currentAudio = new Audio(url);
+          const audio = new Audio(url);
+          setAudioRate(audio);
           const storedVolume = (await browser.storage.local.get("outputVolume")).outputVolume ?? CONFIG.DEFAULT_VOLUME;
-          currentAudio.volume = storedVolume;
-          setPlaybackState("playing");
-          await currentAudio.play();
+          audio.volume = storedVolume;
+          audio.onended = () => {
+            URL.revokeObjectURL(url);
+            if (playback.audio === audio) playback.finish();
+          };
+          if (controller.signal.aborted) return;
+          await playback.playAudio(audio);
+          highlightSentence(text);
         })
         .catch((error) => {
           if (error.name !== 'AbortError') {
             logError('API_REQUEST', error);
+            abandonReading(session);
           }
         });
     }
   }
 }
 
-function processMobileDownload(text) {
-  if (!apiUrl) return;
+/**
+ * Play a short sample with a voice (blend editor preview)
+ * @param {string} voiceSetting - Voice string or "preset:<name>"
+ * @param {string} text - Sample text
+ * @returns {Promise<void>}
+ */
+async function previewVoice(voiceSetting, text) {
+  stopPlayback();
+  playback.begin("single");
+  const session = playback.session;
 
-  const payload = {
-    model: model,
-    input: text,
-    voice: voice,
-    response_format: "mp3",
-    speed: speechSpeed,
-  };
+  const controller = new AbortController();
+  currentAbortController = controller;
+  const options = { ...getSpeechOptions(), voice: resolveVoice(voiceSetting) };
 
-  const headers = {
-    "Content-Type": "application/json",
-    Authorization: `Bearer ${apiKey}`,
-  };
+  try {
+    const blob = await fetchSpeechBlob(text, "mp3", controller.signal, options);
+    if (controller.signal.aborted) return;
 
-  const endpoint = apiUrl.endsWith("/")
-    ? apiUrl + "audio/speech"
-    : apiUrl + "/audio/speech";
-
-  browser.tabs.executeScript({
-    code: `
-      const toast = document.createElement('div');
-      toast.textContent = 'Preparing download...';
-      toast.id = 'tts-download-toast';
-      toast.style.cssText = 'position:fixed;top:50%;left:50%;transform:translate(-50%,-50%);background:#00bcd4;color:white;padding:12px 24px;border-radius:4px;z-index:10000;font-family:Arial,sans-serif;font-size:14px;pointer-events:none;';
-      document.body.appendChild(toast);
-    `
-  });
+    const url = URL.createObjectURL(blob);
+    const audio = new Audio(url);
+    audio.volume = (await browser.storage.local.get("outputVolume")).outputVolume ?? CONFIG.DEFAULT_VOLUME;
+    audio.onended = () => {
+      URL.revokeObjectURL(url);
+      if (playback.audio === audio) playback.finish();
+    };
+    if (controller.signal.aborted) return;
+    await playback.playAudio(audio);
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      logError('API_REQUEST', error);
+      abandonReading(session);
+    }
+  }
+}
 
-  browser.tabs.query({active: true, currentWindow: true}).then((tabs) => {
-    const currentTab = tabs[0];
-    
-    browser.tabs.executeScript(currentTab.id, {
-      code: `
-        (async function() {
-          try {
-            const payload = ${JSON.stringify(payload)};
-            const headers = ${JSON.stringify(headers)};
-            const endpoint = '${endpoint}';
-            
-            const response = await fetch(endpoint, {
-              method: 'POST',
-              headers: headers,
-              body: JSON.stringify(payload)
-            });
-            
-            if (!response.ok) {
-              throw new Error('API request failed: ' + response.status);
-            }
-            
-            const blob = await response.blob();
-            const url = URL.createObjectURL(blob);
-            const now = new Date();
-            const timestamp = now.getFullYear() + '-' + 
-              String(now.getMonth() + 1).padStart(2, '0') + '-' + 
-              String(now.getDate()).padStart(2, '0') + '_' + 
-              String(now.getHours()).padStart(2, '0') + '-' + 
-              String(now.getMinutes()).padStart(2, '0') + '-' + 
-              String(now.getSeconds()).padStart(2, '0');
-            
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = 'tts-audio-' + timestamp + '.mp3';
-            link.style.display = 'none';
-            document.body.appendChild(link);
-            
-            link.click();
-            
-            setTimeout(() => {
-              URL.revokeObjectURL(url);
-              link.remove();
-            }, 1000);
-            
-            const toast = document.getElementById('tts-download-toast');
-            if (toast) toast.remove();
-            
-            const successToast = document.createElement('div');
-            successToast.textContent = 'Download started';
-            successToast.style.cssText = 'position:fixed;top:50%;left:50%;transform:translate(-50%,-50%);background:#00bcd4;color:white;padding:12px 24px;border-radius:4px;z-index:10000;font-family:Arial,sans-serif;font-size:14px;pointer-events:none;';
-            document.body.appendChild(successToast);
-            setTimeout(() => successToast.remove(), 2000);
-            
-          } catch (error) {
-            const toast = document.getElementById('tts-download-toast');
-            if (toast) toast.remove();
-            
-            const errorToast = document.createElement('div');
-            errorToast.textContent = 'Download failed: ' + error.message;
-            errorToast.style.cssText = 'position:fixed;top:50%;left:50%;transform:translate(-50%,-50%);background:#ff5252;color:white;padding:12px 24px;border-radius:4px;z-index:10000;font-family:Arial,sans-serif;font-size:14px;pointer-events:none;';
-            document.body.appendChild(errorToast);
-            setTimeout(() => errorToast.remove(), 3000);
-          }
-        })();
-      `
-    });
+/**
+ * Wait until the scheduled PCM audio has played out
+ * @param {AudioContext} context - Context of the stream
+ * @returns {Promise<boolean>} False if playback was stopped or replaced first
+ */
+function waitForPCMPlayback(context) {
+  return new Promise((resolve) => {
+    const timer = setInterval(() => {
+      if (playback.context !== context) {
+        clearInterval(timer);
+        resolve(false);
+      } else if (context.currentTime >= pcmPlaybackTime) {
+        clearInterval(timer);
+        resolve(true);
+      }
+    }, CONFIG.HIGHLIGHT_INTERVAL);
   });
 }
 
+/**
+ * Cancel a streamed response body when the reading is aborted. The request's
+ * signal stops applying once the headers have arrived.
+ * @param {ReadableStreamDefaultReader} reader
+ * @param {AbortSignal} [signal]
+ */
+function cancelBodyOnAbort(reader, signal) {
+  if (!signal) return;
+  signal.addEventListener("abort", () => reader.cancel().catch(() => {}), { once: true });
+}
+
 /**
  * Process PCM audio stream for low-latency playback
- * @param {Response} response - Fetch response with PCM stream
+ * @param {Response} response - Fetch response with a raw PCM or WAV stream
+ * @param {string|null} [cacheKey] - Cache the complete stream under this key
+ * @param {StreamSettings} [stream] - Format of raw PCM, a WAV header overrides it
+ * @param {AbortSignal} [signal] - Cancels the rest of the stream
  * @returns {Promise<void>}
  */
-async function processPCMStream(response) {
-  const sampleRate = CONFIG.PCM_SAMPLE_RATE;
-  const numChannels = CONFIG.PCM_NUM_CHANNELS;
-  setPlaybackState("playing");
-
-  if (audioContext) {
-    audioContext.close();
-    audioContext = null;
-  }
-  audioContext = new (window.AudioContext || window.webkitAudioContext)({
-    sampleRate: sampleRate,
-  });
+async function processPCMStream(response, cacheKey = null, stream = getSpeechOptions().stream, signal = null) {
+  let format = { sampleRate: stream.sampleRate, channels: stream.channels, bitsPerSample: 16 };
+  let readSample = pcmSampleReader(format);
+  const session = playback.session;
 
   const storedVolume = (await browser.storage.local.get("outputVolume")).outputVolume ?? CONFIG.DEFAULT_VOLUME;
-  gainNode = audioContext.createGain();
+  if (playback.session !== session) return;
+
+  playback.release();
+  // WAV streams may use any rate, the context resamples their buffers
+  const context = new (window.AudioContext || window.webkitAudioContext)(
+    stream.format === "pcm" ? { sampleRate: format.sampleRate } : {}
+  );
+  gainNode = context.createGain();
   gainNode.gain.value = storedVolume;
-  gainNode.connect(audioContext.destination);
+  gainNode.connect(context.destination);
+  playback.useContext(context);
 
-  pcmStreamStopped = false;
-  pcmPlaybackTime = audioContext.currentTime;
+  pcmPlaybackTime = context.currentTime;
+  pcmSources = [];
+  pcmReceivedTime = 0;
+  pcmStreamDone = false;
+  startStreamHighlighting();
 
   const reader = response.body.getReader();
+  cancelBodyOnAbort(reader, signal);
   let leftover = new Uint8Array(0);
+  let headerChecked = false;
+  const receivedChunks = [];
 
   async function readAndPlay() {
-    while (!pcmStreamStopped) {
+    while (playback.context === context) {
       const { value, done } = await reader.read();
       if (done) break;
       if (!value || value.length === 0) continue;
-      if (!audioContext) break;
+      if (playback.context !== context) break;
+      if (cacheKey) receivedChunks.push(value);
 
       let pcmData = new Uint8Array(leftover.length + value.length);
       pcmData.set(leftover, 0);
       pcmData.set(value, leftover.length);
 
-      const bytesPerSample = CONFIG.PCM_BYTES_PER_SAMPLE;
+      // Servers may answer with WAV even when asked for raw PCM; its header has the real format
+      if (!headerChecked) {
+        if (pcmData.length < 12) {
+          leftover = pcmData;
+          continue;
+        }
+        if (isWavHeader(pcmData)) {
+          const header = parseWavHeader(pcmData);
+          if (!header) {
+            leftover = pcmData;
+            continue;
+          }
+          format = header.format;
+          readSample = pcmSampleReader(format);
+          pcmData = pcmData.subarray(header.dataOffset);
+        }
+        headerChecked = true;
+      }
+
+      const numChannels = format.channels;
+      const bytesPerSample = format.bitsPerSample / 8;
       const totalSamples = Math.floor(
         pcmData.length / bytesPerSample / numChannels,
       );
       const usableBytes = totalSamples * bytesPerSample * numChannels;
 
-      const usablePCM = pcmData.slice(0, usableBytes);
+      const usablePCM = new DataView(pcmData.buffer, pcmData.byteOffset, usableBytes);
       leftover = pcmData.slice(usableBytes);
+      if (totalSamples === 0) continue;
 
-      const audioBuffer = audioContext.createBuffer(
+      const audioBuffer = context.createBuffer(
         numChannels,
         totalSamples,
-        sampleRate,
+        format.sampleRate,
       );
 
       for (let channel = 0; channel < numChannels; channel++) {
         const channelData = audioBuffer.getChannelData(channel);
         for (let i = 0; i < totalSamples; i++) {
-          const index = (i * numChannels + channel) * bytesPerSample;
-          const sample = (usablePCM[index + 1] << 8) | usablePCM[index];
-          channelData[i] =
-            (sample & 0x8000 ? sample | ~0xffff : sample) / 32768;
+          channelData[i] = readSample(usablePCM, (i * numChannels + channel) * bytesPerSample);
         }
       }
 
-      const source = audioContext.createBufferSource();
-      source.buffer = audioBuffer;
-      source.connect(gainNode);
-      
-      const now = audioContext.currentTime;
-      if (pcmPlaybackTime < now) {
-        pcmPlaybackTime = now;
-      }
-      source.start(pcmPlaybackTime);
-      pcmPlaybackTime += audioBuffer.duration;
-
-      source.onended = () => {
-        source.disconnect();
-      };
+      // After an underrun the buffer starts now instead of in the past
+      schedulePCMBuffer(audioBuffer, pcmReceivedTime, Math.max(pcmPlaybackTime, context.currentTime));
+      pcmReceivedTime += audioBuffer.duration;
     }
     leftover = new Uint8Array(0);
+    pcmStreamDone = true;
   }
 
   try {
     await readAndPlay();
+    if (playback.context !== context) return;
+    if (cacheKey) {
+      storeCachedAudio(cacheKey, new Blob(receivedChunks));
+    }
+    if (await waitForPCMPlayback(context)) {
+      playback.finish();
+    }
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      logError('AUDIO_PLAYBACK', error);
+      abandonReading(session);
+    }
+  }
+}
+
+/**
+ * Play a compressed stream (MP3, Opus) through MediaSource as it arrives.
+ * When the browser can't stream the format, the response is played once it
+ * has been received in full.
+ * @param {Response} response - Fetch response with the audio stream
+ * @param {string|null} cacheKey - Cache the complete stream under this key
+ * @param {string} mimeType - MediaSource type of the stream
+ * @param {AbortSignal} [signal] - Cancels the rest of the stream
+ * @returns {Promise<void>}
+ */
+async function processMediaStream(response, cacheKey, mimeType, signal = null) {
+  const session = playback.session;
+
+  try {
+    const mediaSource = window.MediaSource && MediaSource.isTypeSupported(mimeType) ? new MediaSource() : null;
+    let streamDone = !mediaSource;
+    let url;
+    if (mediaSource) {
+      url = URL.createObjectURL(mediaSource);
+    } else {
+      const blob = await response.blob();
+      if (cacheKey) storeCachedAudio(cacheKey, blob);
+      url = URL.createObjectURL(blob);
+    }
+    const audio = new Audio(url);
+    setAudioRate(audio);
+    audio.volume = (await browser.storage.local.get("outputVolume")).outputVolume ?? CONFIG.DEFAULT_VOLUME;
+    if (playback.session !== session) {
+      URL.revokeObjectURL(url);
+      return;
+    }
+
+    audio.onended = () => {
+      URL.revokeObjectURL(url);
+      if (playback.audio !== audio) return;
+      stopStreamHighlighting();
+      playback.finish();
+    };
+    startStreamHighlighting(() => {
+      const { buffered } = audio;
+      if (playback.audio !== audio || buffered.length === 0) return null;
+      return {
+        played: audio.currentTime,
+        received: buffered.end(buffered.length - 1),
+        done: streamDone
+      };
+    });
+    playback.playAudio(audio).catch(() => {});
+    if (!mediaSource) return;
+
+    await new Promise((resolve) => mediaSource.addEventListener("sourceopen", resolve, { once: true }));
+    const sourceBuffer = mediaSource.addSourceBuffer(mimeType);
+    const updateBuffer = (update) => new Promise((resolve, reject) => {
+      const onUpdateEnd = () => {
+        sourceBuffer.removeEventListener("error", onError);
+        resolve();
+      };
+      const onError = () => {
+        sourceBuffer.removeEventListener("updateend", onUpdateEnd);
+        reject(new Error("The audio stream could not be decoded"));
+      };
+      sourceBuffer.addEventListener("updateend", onUpdateEnd, { once: true });
+      sourceBuffer.addEventListener("error", onError, { once: true });
+      update();
+    });
+
+    const reader = response.body.getReader();
+    cancelBodyOnAbort(reader, signal);
+    const receivedChunks = [];
+    while (true) {
+      const { value, done } = await reader.read();
+      if (playback.audio !== audio) return;
+      if (done) break;
+      if (!value || value.length === 0) continue;
+      if (cacheKey) receivedChunks.push(value);
+
+      // Drop audio played long ago so long texts stay under the SourceBuffer quota
+      if (audio.currentTime > CONFIG.STREAM_BACK_BUFFER * 2) {
+        await updateBuffer(() => sourceBuffer.remove(0, audio.currentTime - CONFIG.STREAM_BACK_BUFFER));
+      }
+      await updateBuffer(() => sourceBuffer.appendBuffer(value));
+    }
+
+    streamDone = true;
+    if (mediaSource.readyState === "open") mediaSource.endOfStream();
+    if (cacheKey) storeCachedAudio(cacheKey, new Blob(receivedChunks));
   } catch (error) {
     if (error.name !== 'AbortError') {
       logError('AUDIO_PLAYBACK', error);
+      abandonReading(session);
     }
   }
 }
@@ -0,0 +1,146 @@
+/**
+ * Main content extraction for "Read Page"
+ * Injected with tabs.executeScript; the value of the last expression is
+ * returned to the background script.
+ */
+
+(function extractReadableContent() {
+  const NOISE_SELECTOR = [
+    "script", "style", "noscript", "template", "iframe", "object", "embed",
+    "svg", "canvas", "video", "audio", "picture", "img", "button",
+    "input", "select", "textarea", "nav", "aside", "footer", "menu",
+    "pre", "math", "figure figcaption",
+    "[role='navigation']", "[role='banner']", "[role='contentinfo']",
+    "[role='complementary']", "[role='search']", "[role='dialog']",
+    "[aria-hidden='true']", "[hidden]"
+  ].join(",");
+
+  // Class/id fragments that usually mark boilerplate. Wrappers like
+  // "has-sidebar" match too, so only elements holding little text count.
+  const NOISE_PATTERN = /(^|[\s_-])(ad|ads|advert|advertisement|banner|breadcrumbs?|comments?|cookie|footer|menu|nav|newsletter|popup|promo|related|share|sharing|sidebar|social|sponsor(ed)?|subscribe|toolbar|widget)([\s_-]|$)/i;
+
+  // Inline code is part of the sentence; only code standing on its own is dropped
+  const CODE_SELECTOR = "code, kbd, samp";
+
+  const BLOCK_SELECTOR = "h1, h2, h3, h4, h5, h6, p, li, blockquote, dd, dt, td, th";
+
+  const MIN_BLOCK_LENGTH = 25;
+  const MAX_LINK_DENSITY = 0.5;
+  const MAX_NOISE_SHARE = 0.2; // of the surrounding text, for class/id noise
+
+  function normalizeWhitespace(text) {
+    return text.replace(/\s+/g, " ").trim();
+  }
+
+  function isNoise(element) {
+    const marker = `${element.id || ""} ${typeof element.className === "string" ? element.className : ""}`;
+    return NOISE_PATTERN.test(marker);
+  }
+
+  /**
+   * Whether an element is marked as boilerplate and holds only a small part
+   * of the text around it, so wrappers of the article body are never dropped
+   * @param {Element} element
+   * @param {number} totalLength - Text length of the page or container
+   * @returns {boolean}
+   */
+  function isBoilerplate(element, totalLength) {
+    if (!isNoise(element)) return false;
+    return normalizeWhitespace(element.textContent).length < totalLength * MAX_NOISE_SHARE;
+  }
+
+  /**
+   * Whether a code element is a block of its own rather than words in a sentence
+   * @param {Element} element
+   * @returns {boolean}
+   */
+  function isCodeBlock(element) {
+    const parent = element.parentElement;
+    return !parent || normalizeWhitespace(parent.textContent) === normalizeWhitespace(element.textContent);
+  }
+
+  function linkDensity(element, textLength) {
+    if (textLength === 0) return 1;
+    let linkLength = 0;
+    element.querySelectorAll("a").forEach((link) => {
+      linkLength += normalizeWhitespace(link.textContent).length;
+    });
+    return linkLength / textLength;
+  }
+
+  /**
+   * Score paragraph parents Readability-style and return the best container
+   * @returns {Element}
+   */
+  function findMainContainer() {
+    const semantic = document.querySelector("article, main, [role='main'], [itemprop='articleBody']");
+    if (semantic && normalizeWhitespace(semantic.textContent).length > 200) {
+      return semantic;
+    }
+
+    const scores = new Map();
+    document.body.querySelectorAll("p, pre, td, blockquote").forEach((paragraph) => {
+      const text = normalizeWhitespace(paragraph.textContent);
+      if (text.length < MIN_BLOCK_LENGTH) return;
+
+      const score = 1 + text.split(",").length + Math.min(Math.floor(text.length / 100), 3);
+      const parent = paragraph.parentElement;
+      const grandparent = parent && parent.parentElement;
+      if (parent) scores.set(parent, (scores.get(parent) || 0) + score);
+      if (grandparent) scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+    });
+
+    let best = null;
+    let bestScore = 0;
+    const pageLength = normalizeWhitespace(document.body.textContent).length;
+    scores.forEach((score, element) => {
+      const adjusted = isBoilerplate(element, pageLength) ? score * 0.25 : score;
+      if (adjusted > bestScore) {
+        best = element;
+        bestScore = adjusted;
+      }
+    });
+
+    return best || document.body;
+  }
+
+  const container = findMainContainer().cloneNode(true);
+
+  container.querySelectorAll(NOISE_SELECTOR).forEach((element) => element.remove());
+  container.querySelectorAll(CODE_SELECTOR).forEach((element) => {
+    if (container.contains(element) && isCodeBlock(element)) element.remove();
+  });
+  const containerLength = normalizeWhitespace(container.textContent).length;
+  container.querySelectorAll("[class], [id]").forEach((element) => {
+    // Skip elements already removed with a noisy ancestor
+    if (container.contains(element) && isBoilerplate(element, containerLength)) element.remove();
+  });
+
+  const blocks = [];
+  const headings = [];
+  container.querySelectorAll(BLOCK_SELECTOR).forEach((element) => {
+    // Nested blocks (p inside li, etc.) are picked up on their own
+    if (element.querySelector(BLOCK_SELECTOR)) return;
+
+    const text = normalizeWhitespace(element.textContent);
+    if (!text) return;
+
+    const isHeading = /^H[1-6]$/.test(element.tagName);
+    if (!isHeading && text.length < MIN_BLOCK_LENGTH && !/[.!?。！？]$/.test(text)) return;
+    if (linkDensity(element, text.length) > MAX_LINK_DENSITY) return;
+
+    blocks.push(text);
+    if (isHeading) headings.push(text);
+  });
+
+  const text = blocks.length > 0
+    ? blocks.join("\n")
+    : normalizeWhitespace(container.textContent);
+
+  return {
+    title: document.title,
+    url: location.href,
+    text: text,
+    headings: headings
+  };
+})();
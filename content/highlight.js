@@ -0,0 +1,154 @@
+/**
+ * In-page highlighting of the sentence that is currently being read
+ * Injected with tabs.executeScript and driven by messages from the background script.
+ */
+
+(function installHighlighter() {
+  if (window.__customTtsHighlighter) return;
+  window.__customTtsHighlighter = true;
+
+  const HIGHLIGHT_NAME = "customtts-sentence";
+  const MARK_CLASS = "customtts-highlight";
+  const SKIPPED_TAGS = new Set(["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "TEXTAREA", "INPUT"]);
+
+  const supportsHighlightApi = typeof CSS !== "undefined" && CSS.highlights && typeof Highlight === "function";
+
+  // Position after the previous match, so repeated sentences are found in reading order
+  let searchFrom = 0;
+  let marks = [];
+
+  function injectStyles() {
+    const style = document.createElement("style");
+    style.textContent = `
+      ::highlight(${HIGHLIGHT_NAME}) { background-color: rgba(0, 188, 212, 0.35); color: inherit; }
+      mark.${MARK_CLASS} { background-color: rgba(0, 188, 212, 0.35); color: inherit; padding: 0; }
+    `;
+    (document.head || document.documentElement).appendChild(style);
+  }
+
+  /**
+   * Index every non-whitespace character of the page so sentences can be
+   * matched regardless of how the selection or extraction collapsed spaces
+   * @returns {{text: string, positions: Array<[Text, number]>}}
+   */
+  function buildTextIndex() {
+    const positions = [];
+    let text = "";
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+      acceptNode(node) {
+        const parent = node.parentElement;
+        if (!parent || SKIPPED_TAGS.has(parent.tagName)) return NodeFilter.FILTER_REJECT;
+        return NodeFilter.FILTER_ACCEPT;
+      }
+    });
+
+    let node;
+    while ((node = walker.nextNode())) {
+      const value = node.nodeValue;
+      for (let i = 0; i < value.length; i++) {
+        if (!/\s/.test(value[i])) {
+          text += value[i];
+          positions.push([node, i]);
+        }
+      }
+    }
+    return { text, positions };
+  }
+
+  function findRange(sentence) {
+    const needle = sentence.replace(/\s+/g, "");
+    if (!needle) return null;
+
+    const index = buildTextIndex();
+    let start = index.text.indexOf(needle, searchFrom);
+    if (start === -1) start = index.text.indexOf(needle);
+    if (start === -1) return null;
+
+    const end = start + needle.length - 1;
+    searchFrom = end + 1;
+
+    const range = document.createRange();
+    range.setStart(index.positions[start][0], index.positions[start][1]);
+    range.setEnd(index.positions[end][0], index.positions[end][1] + 1);
+    return range;
+  }
+
+  /**
+   * Wrap every text node inside the range in a <mark> (fallback when the
+   * CSS Custom Highlight API is not available)
+   * @param {Range} range
+   */
+  function wrapRange(range) {
+    const nodes = [];
+    const walker = document.createTreeWalker(range.commonAncestorContainer, NodeFilter.SHOW_TEXT);
+    let node = walker.currentNode.nodeType === Node.TEXT_NODE ? walker.currentNode : walker.nextNode();
+    while (node) {
+      if (range.intersectsNode(node)) nodes.push(node);
+      node = walker.nextNode();
+    }
+
+    nodes.forEach((textNode) => {
+      let target = textNode;
+      if (target === range.endContainer && range.endOffset < target.length) {
+        target.splitText(range.endOffset);
+      }
+      if (target === range.startContainer && range.startOffset > 0) {
+        target = target.splitText(range.startOffset);
+      }
+      if (!target.nodeValue.trim()) return;
+
+      const mark = document.createElement("mark");
+      mark.className = MARK_CLASS;
+      target.parentNode.insertBefore(mark, target);
+      mark.appendChild(target);
+      marks.push(mark);
+    });
+  }
+
+  function clearHighlight() {
+    if (supportsHighlightApi) {
+      CSS.highlights.delete(HIGHLIGHT_NAME);
+    }
+    marks.forEach((mark) => {
+      const parent = mark.parentNode;
+      if (!parent) return;
+      while (mark.firstChild) parent.insertBefore(mark.firstChild, mark);
+      mark.remove();
+      parent.normalize();
+    });
+    marks = [];
+  }
+
+  function scrollIntoViewIfNeeded(range) {
+    const rect = range.getBoundingClientRect();
+    if (rect.top >= 0 && rect.bottom <= window.innerHeight) return;
+
+    const element = range.startContainer.parentElement;
+    if (element) element.scrollIntoView({ behavior: "smooth", block: "center" });
+  }
+
+  function highlightText(sentence) {
+    clearHighlight();
+    const range = findRange(sentence);
+    if (!range) return;
+
+    if (supportsHighlightApi) {
+      CSS.highlights.set(HIGHLIGHT_NAME, new Highlight(range));
+    } else {
+      wrapRange(range);
+    }
+    scrollIntoViewIfNeeded(range);
+  }
+
+  injectStyles();
+
+  browser.runtime.onMessage.addListener((message) => {
+    if (message.action === "highlightText") {
+      highlightText(message.text);
+    }
+    if (message.action === "clearHighlight") {
+      clearHighlight();
+      if (message.reset) searchFrom = 0;
+    }
+  });
+})();
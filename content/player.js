@@ -0,0 +1,203 @@
+/**
+ * Floating player shown on the page while it is read aloud
+ * Injected with tabs.executeScript when the option is on and opened with a
+ * "showPlayer" message. It follows the playback over the same "playback" port
+ * as the popup and sends the popup's transport messages back, which gives
+ * Android (where the popup is disabled) transport controls.
+ */
+
+(function installPlayer() {
+  if (window.__customTtsPlayer) return;
+  window.__customTtsPlayer = true;
+
+  const ICONS = {
+    previous: '<rect x="6" y="6" width="2" height="12" /><polygon points="18,6 18,18 9,12" />',
+    play: '<polygon points="8,6 8,18 18,12" />',
+    pause: '<rect x="8" y="6" width="3" height="12" /><rect x="13" y="6" width="3" height="12" />',
+    stop: '<rect x="8" y="8" width="8" height="8" />',
+    next: '<polygon points="6,6 6,18 15,12" /><rect x="16" y="6" width="2" height="12" />',
+    close: '<path d="M7 7 17 17M17 7 7 17" stroke="currentColor" stroke-width="2" />'
+  };
+
+  const STYLES = `
+    :host { all: initial; }
+    .player {
+      position: fixed; right: 16px; bottom: 16px; z-index: 2147483647;
+      display: flex; flex-direction: column; gap: 6px; padding: 8px 10px;
+      background: #fff; color: #333; border-radius: 8px;
+      box-shadow: 0 2px 12px rgba(0, 0, 0, 0.3);
+      font: 13px Arial, sans-serif; touch-action: none; user-select: none;
+    }
+    .header { display: flex; align-items: center; gap: 6px; cursor: move; }
+    .title { flex: 1; font-weight: bold; color: #00bcd4; }
+    .controls, .speed { display: flex; align-items: center; gap: 4px; }
+    button {
+      display: flex; align-items: center; justify-content: center;
+      width: 32px; height: 32px; padding: 0; border: none; border-radius: 50%;
+      background: transparent; color: #00bcd4; cursor: pointer;
+    }
+    button:hover:not(:disabled) { background: rgba(0, 188, 212, 0.15); }
+    button:disabled { opacity: 0.35; cursor: default; }
+    button.stop { color: #ff5252; }
+    button.close { width: 24px; height: 24px; color: #666; }
+    svg { width: 18px; height: 18px; fill: currentColor; }
+    input { flex: 1; margin: 0; }
+    .rate { min-width: 40px; text-align: right; }
+  `;
+
+  let host = null;
+  let elements = null;
+  let port = null;
+  // Set once the reading has started, so the idle state before it doesn't close the player
+  let started = false;
+
+  function icon(name) {
+    return `<svg viewBox="0 0 24 24" aria-hidden="true">${ICONS[name]}</svg>`;
+  }
+
+  function send(action, fields = {}) {
+    browser.runtime.sendMessage({ action, ...fields }).catch(() => {});
+  }
+
+  function createPlayer() {
+    host = document.createElement("div");
+    const shadow = host.attachShadow({ mode: "closed" });
+    shadow.innerHTML = `
+      <style>${STYLES}</style>
+      <div class="player" role="region" aria-label="Custom TTS player">
+        <div class="header">
+          <span class="title">Custom TTS</span>
+          <button class="close" aria-label="Close player">${icon("close")}</button>
+        </div>
+        <div class="controls">
+          <button class="previous" aria-label="Previous sentence">${icon("previous")}</button>
+          <button class="toggle" data-action="pausePlayback" aria-label="Pause">${icon("pause")}</button>
+          <button class="stop" aria-label="Stop">${icon("stop")}</button>
+          <button class="next" aria-label="Next sentence">${icon("next")}</button>
+        </div>
+        <label class="speed">
+          <input type="range" min="0.5" max="3" step="0.05" value="1" aria-label="Playback speed">
+          <span class="rate">1.00×</span>
+        </label>
+      </div>
+    `;
+
+    elements = {
+      player: shadow.querySelector(".player"),
+      header: shadow.querySelector(".header"),
+      close: shadow.querySelector(".close"),
+      previous: shadow.querySelector(".previous"),
+      toggle: shadow.querySelector(".toggle"),
+      stop: shadow.querySelector(".stop"),
+      next: shadow.querySelector(".next"),
+      rate: shadow.querySelector("input"),
+      rateValue: shadow.querySelector(".rate")
+    };
+
+    elements.close.addEventListener("click", hidePlayer);
+    elements.previous.addEventListener("click", () => send("previousSentence"));
+    elements.next.addEventListener("click", () => send("nextSentence"));
+    elements.stop.addEventListener("click", () => send("stopPlayback"));
+    elements.toggle.addEventListener("click", () => {
+      send(elements.toggle.dataset.action);
+    });
+    elements.rate.addEventListener("input", () => {
+      const rate = parseFloat(elements.rate.value);
+      elements.rateValue.textContent = `${rate.toFixed(2)}×`;
+      send("setPlaybackRate", { rate });
+    });
+
+    makeDraggable(elements.player, elements.header);
+  }
+
+  /**
+   * Move the player by dragging its header, kept inside the viewport
+   * @param {HTMLElement} player
+   * @param {HTMLElement} handle
+   */
+  function makeDraggable(player, handle) {
+    let offsetX = 0;
+    let offsetY = 0;
+
+    const onMove = (event) => {
+      const maxLeft = window.innerWidth - player.offsetWidth;
+      const maxTop = window.innerHeight - player.offsetHeight;
+      player.style.left = `${Math.min(Math.max(event.clientX - offsetX, 0), Math.max(maxLeft, 0))}px`;
+      player.style.top = `${Math.min(Math.max(event.clientY - offsetY, 0), Math.max(maxTop, 0))}px`;
+    };
+
+    handle.addEventListener("pointerdown", (event) => {
+      if (event.target.closest("button")) return;
+      const rect = player.getBoundingClientRect();
+      offsetX = event.clientX - rect.left;
+      offsetY = event.clientY - rect.top;
+      player.style.right = "auto";
+      player.style.bottom = "auto";
+      handle.setPointerCapture(event.pointerId);
+      handle.addEventListener("pointermove", onMove);
+    });
+
+    const endDrag = (event) => {
+      handle.removeEventListener("pointermove", onMove);
+      if (handle.hasPointerCapture(event.pointerId)) handle.releasePointerCapture(event.pointerId);
+    };
+    handle.addEventListener("pointerup", endDrag);
+    handle.addEventListener("pointercancel", endDrag);
+  }
+
+  /**
+   * Update the controls from a playback status of the background script
+   * @param {Object} status - PlaybackStatus
+   */
+  function renderStatus(status) {
+    if (status.playbackState === "idle") {
+      if (started) hidePlayer();
+      return;
+    }
+    started = true;
+
+    const paused = status.playbackState === "paused";
+    elements.toggle.dataset.action = paused ? "resumePlayback" : "pausePlayback";
+    elements.toggle.setAttribute("aria-label", paused ? "Play" : "Pause");
+    elements.toggle.innerHTML = icon(paused ? "play" : "pause");
+    elements.previous.disabled = status.sentenceCount === 0;
+    elements.next.disabled = status.sentenceCount === 0;
+
+    // Not while the slider is being dragged
+    if (status.playbackRate && elements.rate !== elements.rate.getRootNode().activeElement) {
+      elements.rate.value = status.playbackRate;
+      elements.rateValue.textContent = `${status.playbackRate.toFixed(2)}×`;
+    }
+  }
+
+  function showPlayer() {
+    if (!host) createPlayer();
+    if (!host.isConnected) document.documentElement.appendChild(host);
+    started = false;
+
+    if (!port) {
+      port = browser.runtime.connect({ name: "playback" });
+      port.onMessage.addListener(renderStatus);
+      port.onDisconnect.addListener(() => {
+        port = null;
+      });
+    }
+  }
+
+  function hidePlayer() {
+    if (port) {
+      port.disconnect();
+      port = null;
+    }
+    if (host) host.remove();
+  }
+
+  browser.runtime.onMessage.addListener((message) => {
+    if (message.action === "showPlayer") {
+      showPlayer();
+    }
+    if (message.action === "hidePlayer") {
+      hidePlayer();
+    }
+  });
+})();
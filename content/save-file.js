@@ -0,0 +1,28 @@
+/**
+ * Saves exported audio from the page on Android, where the downloads API is
+ * not available. Injected with tabs.executeScript; the file arrives as a Blob
+ * in a "saveFile" message.
+ */
+
+(function installFileSaver() {
+  if (window.__customTtsFileSaver) return;
+  window.__customTtsFileSaver = true;
+
+  browser.runtime.onMessage.addListener((message) => {
+    if (message.action !== "saveFile") return;
+
+    const url = URL.createObjectURL(message.blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = message.filename;
+    link.style.display = "none";
+    document.body.appendChild(link);
+    link.click();
+
+    setTimeout(() => {
+      URL.revokeObjectURL(url);
+      link.remove();
+    }, 1000);
+    return Promise.resolve(true);
+  });
+})();
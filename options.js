@@ -2,16 +2,62 @@ document.addEventListener("DOMContentLoaded", async () => {
   const elements = {
     apiUrlInput: document.getElementById("apiUrl"),
     apiKeyInput: document.getElementById("apiKey"),
+    fallbackUrlsInput: document.getElementById("fallbackUrls"),
     speedInput: document.getElementById("speed"),
     voiceInput: document.getElementById("voice"),
+    voicePicker: document.getElementById("voicePicker"),
+    voiceSearchInput: document.getElementById("voiceSearch"),
+    voiceSelect: document.getElementById("voiceSelect"),
+    voiceListHint: document.getElementById("voiceListHint"),
+    modelOptions: document.getElementById("modelOptions"),
     modelInput: document.getElementById("model"),
     streamingModeInput: document.getElementById("streamingMode"),
     downloadModeInput: document.getElementById("downloadMode"),
+    downloadFormatSelect: document.getElementById("downloadFormat"),
+    streamFormatSelect: document.getElementById("streamFormat"),
+    pcmFormatFields: document.getElementById("pcmFormat"),
+    pcmSampleRateInput: document.getElementById("pcmSampleRate"),
+    pcmChannelsSelect: document.getElementById("pcmChannels"),
     volumeInput: document.getElementById("volume"),
+    prefetchInput: document.getElementById("prefetchCount"),
     streamingWarning: document.getElementById("streamingWarning"),
     downloadWarning: document.getElementById("downloadWarning"),
     saveButton: document.getElementById("saveButton"),
-    stopButton: document.getElementById("stopButton")
+    profileSelect: document.getElementById("profileSelect"),
+    profileNameInput: document.getElementById("profileName"),
+    newProfileButton: document.getElementById("newProfileButton"),
+    deleteProfileButton: document.getElementById("deleteProfileButton"),
+    stopButton: document.getElementById("stopButton"),
+    voiceOptions: document.getElementById("voiceOptions"),
+    blendRows: document.getElementById("blendRows"),
+    addBlendVoiceButton: document.getElementById("addBlendVoiceButton"),
+    blendResult: document.getElementById("blendResult"),
+    blendSampleInput: document.getElementById("blendSample"),
+    previewBlendButton: document.getElementById("previewBlendButton"),
+    presetNameInput: document.getElementById("presetName"),
+    savePresetButton: document.getElementById("savePresetButton"),
+    presetList: document.getElementById("presetList"),
+    normalizationRulesContainer: document.getElementById("normalizationRules"),
+    dictionaryList: document.getElementById("dictionaryList"),
+    addPronunciationButton: document.getElementById("addPronunciationButton"),
+    saveDictionaryButton: document.getElementById("saveDictionaryButton"),
+    importDictionaryButton: document.getElementById("importDictionaryButton"),
+    exportDictionaryButton: document.getElementById("exportDictionaryButton"),
+    dictionaryFileInput: document.getElementById("dictionaryFile"),
+    ruleList: document.getElementById("ruleList"),
+    addRuleButton: document.getElementById("addRuleButton"),
+    saveRulesButton: document.getElementById("saveRulesButton"),
+    cacheEnabledInput: document.getElementById("cacheEnabled"),
+    cacheSizeInput: document.getElementById("cacheSize"),
+    cacheStats: document.getElementById("cacheStats"),
+    clearCacheButton: document.getElementById("clearCacheButton"),
+    chapterModeSelect: document.getElementById("chapterMode"),
+    chapterSizeInput: document.getElementById("chapterSize"),
+    exportSubtitlesSelect: document.getElementById("exportSubtitles"),
+    playerOverlayInput: document.getElementById("playerOverlay"),
+    historyLimitInput: document.getElementById("historyLimit"),
+    clearHistoryButton: document.getElementById("clearHistoryButton"),
+    shortcutsContainer: document.getElementById("shortcuts")
   };
 
   // Initialize UI with saved settings
@@ -19,10 +65,44 @@ document.addEventListener("DOMContentLoaded", async () => {
 
   // Setup mode exclusivity
   setupModeExclusivity(elements);
+  setupStreamFormatFields(elements);
+
+  // Server profiles
+  await initializeProfiles(elements);
+
+  // Voice dropdown from the server's voice list (not awaited, the server may be slow)
+  initializeVoicePicker(elements);
 
   // Save settings
   elements.saveButton.addEventListener("click", () => handleSave(elements));
 
   // Stop playback
   elements.stopButton.addEventListener("click", handleStopPlayback);
+
+  // Voice blend editor and presets
+  await initializeBlendEditor(elements);
+
+  // Text cleanup before synthesis
+  await initializeNormalizationSettings(elements.normalizationRulesContainer);
+
+  // Pronunciation dictionary
+  await initializeDictionaryEditor(elements);
+
+  // Per-site and per-language voice rules
+  await initializeRuleEditor(elements);
+
+  // Audio cache
+  await initializeCacheSettings(elements);
+
+  // Download export chapters
+  await initializeExportSettings(elements);
+
+  // Floating player
+  await initializePlayerSettings(elements);
+
+  // Reading history
+  await initializeHistorySettings(elements);
+
+  // Keyboard shortcuts
+  await initializeShortcuts(elements.shortcutsContainer);
 });
\ No newline at end of file
@@ -2,18 +2,51 @@ document.addEventListener("DOMContentLoaded", async () => {
   const elements = {
     apiUrlInput: document.getElementById("apiUrl"),
     apiKeyInput: document.getElementById("apiKey"),
+    fallbackUrlsInput: document.getElementById("fallbackUrls"),
     speedInput: document.getElementById("speed"),
     voiceInput: document.getElementById("voice"),
+    voicePicker: document.getElementById("voicePicker"),
+    voiceSearchInput: document.getElementById("voiceSearch"),
+    voiceSelect: document.getElementById("voiceSelect"),
+    voiceListHint: document.getElementById("voiceListHint"),
+    modelOptions: document.getElementById("modelOptions"),
     modelInput: document.getElementById("model"),
     streamingModeInput: document.getElementById("streamingMode"),
     downloadModeInput: document.getElementById("downloadMode"),
+    downloadFormatSelect: document.getElementById("downloadFormat"),
+    streamFormatSelect: document.getElementById("streamFormat"),
+    pcmFormatFields: document.getElementById("pcmFormat"),
+    pcmSampleRateInput: document.getElementById("pcmSampleRate"),
+    pcmChannelsSelect: document.getElementById("pcmChannels"),
     volumeInput: document.getElementById("volume"),
+    playbackRateInput: document.getElementById("playbackRate"),
+    playbackRateValue: document.getElementById("playbackRateValue"),
+    progressBar: document.getElementById("progressBar"),
+    progressFill: document.getElementById("progressFill"),
+    progressTime: document.getElementById("progressTime"),
+    progressSentence: document.getElementById("progressSentence"),
+    prefetchInput: document.getElementById("prefetchCount"),
     streamingWarning: document.getElementById("streamingWarning"),
     downloadWarning: document.getElementById("downloadWarning"),
     saveButton: document.getElementById("saveButton"),
+    profileSelect: document.getElementById("profileSelect"),
+    profileNameInput: document.getElementById("profileName"),
+    newProfileButton: document.getElementById("newProfileButton"),
+    deleteProfileButton: document.getElementById("deleteProfileButton"),
     stopButton: document.getElementById("stopButton"),
     playButton: document.getElementById("playButton"),
     pauseButton: document.getElementById("pauseButton"),
+    previousButton: document.getElementById("previousButton"),
+    nextButton: document.getElementById("nextButton"),
+    sentenceList: document.getElementById("sentenceList"),
+    readPageButton: document.getElementById("readPageButton"),
+    queueList: document.getElementById("queueList"),
+    queueHint: document.getElementById("queueHint"),
+    playQueueButton: document.getElementById("playQueueButton"),
+    clearQueueButton: document.getElementById("clearQueueButton"),
+    historyList: document.getElementById("historyList"),
+    historyHint: document.getElementById("historyHint"),
+    clearHistoryButton: document.getElementById("clearHistoryButton"),
     tabButtons: document.querySelectorAll(".tab-button"),
     tabPanels: document.querySelectorAll(".tab-panel")
   };
@@ -23,6 +56,16 @@ document.addEventListener("DOMContentLoaded", async () => {
 
   // Setup mode exclusivity
   setupModeExclusivity(elements);
+  setupStreamFormatFields(elements);
+
+  // Server profiles
+  await initializeProfiles(elements);
+
+  // Playback speed, applied while reading
+  await initializePlaybackRate(elements);
+
+  // Voice dropdown from the server's voice list (not awaited, the server may be slow)
+  initializeVoicePicker(elements);
 
   // Save settings
   elements.saveButton.addEventListener("click", () => handleSave(elements));
@@ -30,40 +73,204 @@ document.addEventListener("DOMContentLoaded", async () => {
   // Stop playback
   elements.stopButton.addEventListener("click", handleStopPlayback);
 
-  async function updateTransportState() {
-    try {
-      const { playbackState } = (await browser.runtime.sendMessage({ action: "getPlaybackState" })) || { playbackState: "idle" };
-      setTransportButtons(playbackState);
-    } catch (e) {
-      setTransportButtons("idle");
-    }
-  }
-
-  function setTransportButtons(state) {
+  function setTransportButtons(state, sentenceCount) {
     const playDisabled = state !== "paused";
-    const pauseDisabled = state !== "playing";
+    const pauseDisabled = state !== "playing" && state !== "loading";
     const stopDisabled = state === "idle";
     elements.playButton.disabled = playDisabled;
     elements.pauseButton.disabled = pauseDisabled;
     elements.stopButton.disabled = stopDisabled;
+    elements.previousButton.disabled = sentenceCount === 0;
+    elements.nextButton.disabled = sentenceCount === 0;
   }
 
-  // Stop playback
-  elements.stopButton.addEventListener("click", async () => {
-    await browser.runtime.sendMessage({ action: "stopPlayback" });
-    setTransportButtons("idle");
+  function formatTime(seconds) {
+    const total = Math.max(0, Math.round(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor(total / 60) % 60;
+    const secs = String(total % 60).padStart(2, "0");
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, "0")}:${secs}` : `${minutes}:${secs}`;
+  }
+
+  // Progress of the current reading, click the bar to jump there
+  let progressDuration = 0;
+
+  function renderProgress(status) {
+    progressDuration = status.duration;
+    const fraction = status.duration > 0 ? Math.min(status.elapsed / status.duration, 1) : 0;
+    elements.progressFill.style.width = `${fraction * 100}%`;
+    elements.progressBar.setAttribute("aria-valuenow", String(Math.round(fraction * 100)));
+
+    const total = `${status.estimated ? "~" : ""}${formatTime(status.duration)}`;
+    elements.progressTime.textContent = status.duration > 0
+      ? `${formatTime(status.elapsed)} / ${total} (${formatTime(status.duration - status.elapsed)} left)`
+      : "";
+    elements.progressSentence.textContent = status.sentenceCount > 0 && status.sentenceIndex >= 0
+      ? `Sentence ${Math.min(status.sentenceIndex + 1, status.sentenceCount)} of ${status.sentenceCount}`
+      : "";
+  }
+
+  elements.progressBar.addEventListener("click", (event) => {
+    if (progressDuration <= 0) return;
+    const rect = elements.progressBar.getBoundingClientRect();
+    const fraction = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1);
+    browser.runtime.sendMessage({ action: "seekToPosition", fraction });
+  });
+
+  elements.progressBar.addEventListener("keydown", (event) => {
+    if (event.key === "ArrowLeft") browser.runtime.sendMessage({ action: "previousSentence" });
+    if (event.key === "ArrowRight") browser.runtime.sendMessage({ action: "nextSentence" });
+  });
+
+  // Sentence list of the current reading, click a line to jump there
+  function renderSentenceList(sentences) {
+    elements.sentenceList.replaceChildren(...sentences.map((sentence, index) => {
+      const item = document.createElement("div");
+      item.className = "sentence-item";
+      item.textContent = sentence;
+      item.title = sentence;
+      item.addEventListener("click", () => {
+        browser.runtime.sendMessage({ action: "seekToSentence", index });
+      });
+      return item;
+    }));
+  }
+
+  function markCurrentSentence(currentIndex) {
+    elements.sentenceList.querySelectorAll(".sentence-item").forEach((item, index) => {
+      const isCurrent = index === currentIndex;
+      if (isCurrent && !item.classList.contains("current")) {
+        item.scrollIntoView({ block: "nearest" });
+      }
+      item.classList.toggle("current", isCurrent);
+    });
+  }
+
+  // The background pushes the playback status while the popup is open
+  const playbackPort = browser.runtime.connect({ name: "playback" });
+  playbackPort.onMessage.addListener((status) => {
+    setTransportButtons(status.playbackState, status.sentenceCount);
+    markCurrentQueueItem(status.activeQueueItemId);
+    if (status.sentences) renderSentenceList(status.sentences);
+    markCurrentSentence(status.sentenceIndex);
+    renderProgress(status);
+  });
+
+  // Reading queue: click an item to read from there, reorder with the arrows
+  async function renderQueue() {
+    const items = await loadReadingQueue();
+    elements.queueHint.hidden = items.length > 0;
+    elements.playQueueButton.disabled = items.length === 0;
+    elements.clearQueueButton.disabled = items.length === 0;
+
+    elements.queueList.replaceChildren(...items.map((item, index) => {
+      const row = document.createElement("div");
+      row.className = "queue-item";
+      row.dataset.id = item.id;
+
+      const label = document.createElement("span");
+      label.textContent = item.title ? `${item.title}: ${item.text}` : item.text;
+      label.title = item.url || item.text;
+      label.addEventListener("click", async () => {
+        await browser.runtime.sendMessage({ action: "playQueue", itemId: item.id });
+      });
+
+      const createButton = (text, ariaLabel, disabled, onClick) => {
+        const button = document.createElement("button");
+        button.textContent = text;
+        button.setAttribute("aria-label", ariaLabel);
+        button.disabled = disabled;
+        button.addEventListener("click", onClick);
+        return button;
+      };
+
+      row.append(
+        label,
+        createButton("↑", "Move up", index === 0, () => moveReadingQueueItem(item.id, -1)),
+        createButton("↓", "Move down", index === items.length - 1, () => moveReadingQueueItem(item.id, 1)),
+        createButton("✕", "Remove", false, () => removeFromReadingQueue(item.id))
+      );
+      return row;
+    }));
+  }
+
+  function markCurrentQueueItem(itemId) {
+    elements.queueList.querySelectorAll(".queue-item").forEach((row) => {
+      row.classList.toggle("current", row.dataset.id === itemId);
+    });
+  }
+
+  elements.playQueueButton.addEventListener("click", () => {
+    browser.runtime.sendMessage({ action: "playQueue" });
   });
 
-  // Play (resume)
-  elements.playButton.addEventListener("click", async () => {
-    await browser.runtime.sendMessage({ action: "resumePlayback" });
-    await updateTransportState();
+  elements.clearQueueButton.addEventListener("click", () => saveReadingQueue([]));
+
+  browser.storage.onChanged.addListener((changes) => {
+    if (changes.readingQueue) renderQueue();
   });
+  await renderQueue();
+
+  // Reading history: resume where it stopped, read again or download
+  async function renderHistory() {
+    const entries = await loadReadingHistory();
+    elements.historyHint.hidden = entries.length > 0;
+    elements.clearHistoryButton.disabled = entries.length === 0;
+
+    elements.historyList.replaceChildren(...entries.map((entry) => {
+      const item = document.createElement("div");
+      item.className = "history-entry";
 
-  // Pause
-  elements.pauseButton.addEventListener("click", async () => {
-    await browser.runtime.sendMessage({ action: "pausePlayback" });
-    await updateTransportState();
+      const title = document.createElement("div");
+      title.className = "history-title";
+      title.textContent = entry.title || entry.url || "Selected text";
+      title.title = entry.url;
+
+      const snippet = document.createElement("div");
+      snippet.className = "history-snippet";
+      snippet.textContent = historySnippet(entry);
+
+      const meta = document.createElement("div");
+      meta.className = "history-meta";
+      const details = [new Date(entry.timestamp).toLocaleString(), entry.voice];
+      if (entry.sentenceCount > 0) details.push(`sentence ${entry.sentenceIndex + 1} of ${entry.sentenceCount}`);
+      meta.textContent = details.join(" · ");
+
+      const buttons = document.createElement("div");
+      buttons.className = "button-row";
+      const actions = [["Re-read", "reread"], ["Download", "download"]];
+      if (entry.sentenceIndex > 0) actions.unshift(["Resume", "resume"]);
+      buttons.append(...actions.map(([text, mode]) => {
+        const button = document.createElement("button");
+        button.textContent = text;
+        button.addEventListener("click", async () => {
+          await browser.runtime.sendMessage({ action: "playHistory", entryId: entry.id, mode });
+        });
+        return button;
+      }));
+
+      item.append(title, snippet, meta, buttons);
+      return item;
+    }));
+  }
+
+  elements.clearHistoryButton.addEventListener("click", () => clearReadingHistory());
+
+  browser.storage.onChanged.addListener((changes) => {
+    if (changes.readingHistory) renderHistory();
+  });
+  await renderHistory();
+
+  // Transport buttons, the background pushes the resulting state
+  const transportActions = [
+    [elements.previousButton, "previousSentence"],
+    [elements.nextButton, "nextSentence"],
+    [elements.playButton, "resumePlayback"],
+    [elements.pauseButton, "pausePlayback"],
+    [elements.readPageButton, "readPage"]
+  ];
+  transportActions.forEach(([button, action]) => {
+    button.addEventListener("click", () => browser.runtime.sendMessage({ action }));
   });
 
   // Tab switching
@@ -75,13 +282,6 @@ document.addEventListener("DOMContentLoaded", async () => {
       elements.tabPanels.forEach((panel) => {
         panel.classList.toggle("active", panel.id === `${targetTab}Tab`);
       });
-
-      if (targetTab === "play") {
-        updateTransportState();
-      }
     });
   });
-
-  // Initial transport state
-  updateTransportState();
 });
@@ -0,0 +1,140 @@
+/**
+ * Persistent cache of generated audio (IndexedDB)
+ * Entries are keyed by a hash of input text, voice, model, speed and format,
+ * and evicted least-recently-used first once the size limit is exceeded.
+ * Sizes and access times live in their own store, so eviction and the usage
+ * summary never load audio.
+ */
+
+const AUDIO_CACHE_DB_NAME = 'customtts-audio-cache';
+const AUDIO_CACHE_DB_VERSION = 2;
+const AUDIO_CACHE_STORE = 'audio';
+const AUDIO_CACHE_META_STORE = 'entries';
+
+let audioCacheDb = null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and create on first use) the cache database
+ * @returns {Promise<IDBDatabase>}
+ */
+async function openAudioCache() {
+  if (audioCacheDb) return audioCacheDb;
+
+  const request = indexedDB.open(AUDIO_CACHE_DB_NAME, AUDIO_CACHE_DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    // Version 1 kept sizes next to the audio; being a cache, it is dropped
+    if (db.objectStoreNames.contains(AUDIO_CACHE_STORE)) db.deleteObjectStore(AUDIO_CACHE_STORE);
+    db.createObjectStore(AUDIO_CACHE_STORE, { keyPath: 'key' });
+    const meta = db.createObjectStore(AUDIO_CACHE_META_STORE, { keyPath: 'key' });
+    meta.createIndex('lastAccess', 'lastAccess');
+  };
+  audioCacheDb = await idbRequest(request);
+  return audioCacheDb;
+}
+
+/**
+ * Build the cache key for a synthesis request
+ * @param {{input: string, voice: string, model: string, speed: number, format: string}} request
+ * @returns {Promise<string>} SHA-256 hex digest
+ */
+async function audioCacheKey({ input, voice, model, speed, format }) {
+  const data = new TextEncoder().encode(JSON.stringify([input, voice, model, speed, format]));
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Look up cached audio and mark it as recently used
+ * @param {string} key - Cache key from audioCacheKey
+ * @returns {Promise<Blob|null>}
+ */
+async function getCachedAudio(key) {
+  const db = await openAudioCache();
+  const transaction = db.transaction([AUDIO_CACHE_STORE, AUDIO_CACHE_META_STORE], 'readwrite');
+  const meta = transaction.objectStore(AUDIO_CACHE_META_STORE);
+  const [entry, info] = await Promise.all([
+    idbRequest(transaction.objectStore(AUDIO_CACHE_STORE).get(key)),
+    idbRequest(meta.get(key))
+  ]);
+  if (!entry || !info) return null;
+
+  info.lastAccess = Date.now();
+  meta.put(info);
+  return entry.blob;
+}
+
+/**
+ * Store audio and evict old entries beyond the size limit
+ * @param {string} key - Cache key from audioCacheKey
+ * @param {Blob} blob - Generated audio
+ * @param {number} maxBytes - Cache size limit
+ * @returns {Promise<void>}
+ */
+async function putCachedAudio(key, blob, maxBytes) {
+  if (blob.size > maxBytes) return;
+
+  const db = await openAudioCache();
+  const transaction = db.transaction([AUDIO_CACHE_STORE, AUDIO_CACHE_META_STORE], 'readwrite');
+  transaction.objectStore(AUDIO_CACHE_STORE).put({ key, blob });
+  await idbRequest(transaction.objectStore(AUDIO_CACHE_META_STORE).put({ key, size: blob.size, lastAccess: Date.now() }));
+  await evictAudioCache(maxBytes);
+}
+
+/**
+ * Delete least recently used entries until the cache fits in maxBytes
+ * @param {number} maxBytes - Cache size limit
+ * @returns {Promise<void>}
+ */
+async function evictAudioCache(maxBytes) {
+  const db = await openAudioCache();
+  const transaction = db.transaction([AUDIO_CACHE_STORE, AUDIO_CACHE_META_STORE], 'readwrite');
+  const audio = transaction.objectStore(AUDIO_CACHE_STORE);
+  const meta = transaction.objectStore(AUDIO_CACHE_META_STORE);
+  const entries = await idbRequest(meta.index('lastAccess').getAll());
+
+  let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+  for (const entry of entries) {
+    if (totalBytes <= maxBytes) break;
+    audio.delete(entry.key);
+    meta.delete(entry.key);
+    totalBytes -= entry.size;
+  }
+}
+
+/**
+ * Remove every cached entry
+ * @returns {Promise<void>}
+ */
+async function clearAudioCache() {
+  const db = await openAudioCache();
+  const transaction = db.transaction([AUDIO_CACHE_STORE, AUDIO_CACHE_META_STORE], 'readwrite');
+  transaction.objectStore(AUDIO_CACHE_STORE).clear();
+  await idbRequest(transaction.objectStore(AUDIO_CACHE_META_STORE).clear());
+}
+
+/**
+ * Summarize cache usage
+ * @returns {Promise<{entries: number, bytes: number}>}
+ */
+async function getAudioCacheStats() {
+  const db = await openAudioCache();
+  const store = db.transaction(AUDIO_CACHE_META_STORE, 'readonly').objectStore(AUDIO_CACHE_META_STORE);
+  const entries = await idbRequest(store.getAll());
+  return {
+    entries: entries.length,
+    bytes: entries.reduce((sum, entry) => sum + entry.size, 0)
+  };
+}
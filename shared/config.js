@@ -10,23 +10,57 @@ const CONFIG = {
   PCM_SAMPLE_RATE: 24000,
   PCM_NUM_CHANNELS: 1,
   PCM_BYTES_PER_SAMPLE: 2,
+  DEFAULT_STREAM_FORMAT: 'pcm',
+  STREAM_BACK_BUFFER: 30, // seconds of played audio kept when streaming through MediaSource
   
   // Queue management
-  MAX_QUEUE_SIZE: 10,
+  MAX_QUEUE_SIZE: 10, // sentences buffered ahead of the one playing
+  DEFAULT_PREFETCH_COUNT: 3, // parallel sentence requests
+  
+  // Audio cache
+  DEFAULT_CACHE_SIZE_LIMIT: 100, // MB
+  
+  // Audio export
+  EXPORT_CHUNK_LENGTH: 1000, // characters synthesized per request
+  DEFAULT_EXPORT_CHAPTER_MODE: 'headings', // headings | sentences
+  DEFAULT_EXPORT_CHAPTER_SIZE: 20, // sentences per chapter
+  DEFAULT_DOWNLOAD_FORMAT: 'mp3',
+  DEFAULT_EXPORT_SUBTITLES: 'none', // none | srt | vtt
+  
+  // Reading history
+  DEFAULT_HISTORY_LIMIT: 50, // entries kept
+  HISTORY_SAVE_INTERVAL: 30000, // ms between saves of the reading position while playing
+  
+  // Endpoint failover
+  REQUEST_TIMEOUT: 60000, // ms to wait for response headers
+  ENDPOINT_COOLDOWN: 30000, // ms a failed endpoint is demoted, doubled per failure
+  ENDPOINT_MAX_COOLDOWN: 600000,
+  
+  // Page highlighting
+  HIGHLIGHT_INTERVAL: 250,
+  PROGRESS_INTERVAL: 500, // ms between playback status updates to the popup
+  DEFAULT_PLAYER_OVERLAY: false, // floating player on the page being read
+  MEDIA_SNIPPET_LENGTH: 80, // characters of the sentence shown in the OS media controls
+  ESTIMATED_CHARS_PER_SECOND: 15,
   
   // UI feedback
   TOAST_DURATION: 2000,
   ERROR_TOAST_DURATION: 3000,
   
-  // Sentence splitting
-  SENTENCE_REGEX: /[^.。\n]*[.。\n]|[^.。\n]+$/g,
+  // Sentence splitting (characters)
+  SENTENCE_MIN_LENGTH: 15, // shorter fragments are merged into a neighbour
+  SENTENCE_MAX_LENGTH: 300, // longer sentences are split at clauses
   
   // API defaults
   DEFAULT_API_URL: 'http://host.docker.internal:8880/v1',
   DEFAULT_API_KEY: 'not-needed',
   DEFAULT_VOICE: 'af_bella+af_sky',
+  VOICE_PRESET_PREFIX: 'preset:', // voice setting pointing to a saved blend
   DEFAULT_MODEL: 'kokoro',
   DEFAULT_SPEED: 1.0,
+  DEFAULT_PLAYBACK_RATE: 1.0,
+  MIN_PLAYBACK_RATE: 0.5,
+  MAX_PLAYBACK_RATE: 3,
   DEFAULT_VOLUME: 1.0
 };
 
@@ -37,3 +71,23 @@ const TOAST_STYLES = {
   error: 'background:#ff5252;',
   info: 'background:#2196f3;'
 };
+
+// Formats the server can stream in. PCM and WAV play through Web Audio,
+// the others through MediaSource (buffered whole when it can't play them)
+const STREAM_FORMATS = {
+  pcm: { label: 'Raw PCM', mimeType: null },
+  wav: { label: 'WAV', mimeType: null },
+  mp3: { label: 'MP3', mimeType: 'audio/mpeg' },
+  opus: { label: 'Opus', mimeType: 'audio/ogg; codecs="opus"' }
+};
+
+// Download formats. join tells how chunks of a long text become one file:
+// mp3 frame by frame, pcm wrapped locally in a WAV header, concat as-is
+// (chained Ogg streams, ADTS frames); formats without one are requested whole.
+const DOWNLOAD_FORMATS = {
+  mp3: { label: 'MP3', extension: 'mp3', mimeType: 'audio/mpeg', responseFormat: 'mp3', join: 'mp3' },
+  opus: { label: 'Opus', extension: 'opus', mimeType: 'audio/ogg', responseFormat: 'opus', join: 'concat' },
+  aac: { label: 'AAC', extension: 'aac', mimeType: 'audio/aac', responseFormat: 'aac', join: 'concat' },
+  flac: { label: 'FLAC', extension: 'flac', mimeType: 'audio/flac', responseFormat: 'flac', join: null },
+  wav: { label: 'WAV', extension: 'wav', mimeType: 'audio/wav', responseFormat: 'pcm', join: 'pcm' }
+};
@@ -0,0 +1,236 @@
+/**
+ * User pronunciation dictionary
+ * Entries replace a word (or a regular expression match) with a spelling or
+ * phoneme hint the model pronounces correctly. Applied after text cleanup,
+ * top to bottom.
+ */
+
+/**
+ * @typedef {Object} PronunciationEntry
+ * @property {string} pattern - Whole word/phrase, or a regular expression
+ * @property {string} replacement - Text sent instead; "$1" etc. work for regex entries
+ * @property {boolean} [regex] - Treat pattern as a regular expression
+ * @property {boolean} [matchCase] - Case-sensitive matching
+ */
+
+const DICTIONARY_EXPORT_FILENAME = 'customtts-pronunciations.json';
+
+/**
+ * Build the matcher of an entry
+ * @param {PronunciationEntry} entry
+ * @returns {RegExp}
+ * @throws {SyntaxError} If a regex pattern is invalid
+ */
+function compilePronunciation(entry) {
+  const flags = entry.matchCase ? 'gu' : 'giu';
+  if (entry.regex) {
+    return new RegExp(entry.pattern, flags);
+  }
+  const escaped = entry.pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  // Whole words only, so "AI" doesn't match inside "rain"
+  return new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, flags);
+}
+
+/**
+ * Apply dictionary entries to a text
+ * @param {string} text
+ * @param {PronunciationEntry[]} entries
+ * @returns {string}
+ */
+function applyPronunciations(text, entries) {
+  return entries.reduce((result, entry) => {
+    if (!entry.pattern) return result;
+    try {
+      // Plain replacements are inserted literally
+      const replacement = entry.regex ? entry.replacement : () => entry.replacement;
+      return result.replace(compilePronunciation(entry), replacement);
+    } catch (error) {
+      console.warn(`Skipping invalid pronunciation pattern "${entry.pattern}":`, error);
+      return result;
+    }
+  }, text);
+}
+
+/**
+ * Check entries before saving or importing
+ * @param {*} entries - Parsed data
+ * @returns {string[]} Error messages, empty when valid
+ */
+function validatePronunciations(entries) {
+  if (!Array.isArray(entries)) {
+    return ['The dictionary must be a JSON array of entries.'];
+  }
+
+  const errors = [];
+  entries.forEach((entry, index) => {
+    if (!entry || typeof entry.pattern !== 'string' || !entry.pattern) {
+      errors.push(`Entry ${index + 1}: missing word or pattern.`);
+      return;
+    }
+    if (typeof entry.replacement !== 'string') {
+      errors.push(`Entry ${index + 1}: missing replacement.`);
+      return;
+    }
+    try {
+      compilePronunciation(entry);
+    } catch (error) {
+      errors.push(`Entry ${index + 1}: invalid regular expression (${error.message}).`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Keep only the known fields of an entry
+ * @param {PronunciationEntry} entry
+ * @returns {PronunciationEntry}
+ */
+function cleanPronunciation(entry) {
+  return {
+    pattern: entry.pattern,
+    replacement: entry.replacement,
+    regex: Boolean(entry.regex),
+    matchCase: Boolean(entry.matchCase)
+  };
+}
+
+/**
+ * Create an editable dictionary row (options page)
+ * @param {PronunciationEntry} entry
+ * @returns {HTMLElement}
+ */
+function createPronunciationRow(entry) {
+  const row = document.createElement('div');
+  row.className = 'dictionary-row';
+
+  const patternInput = document.createElement('input');
+  patternInput.type = 'text';
+  patternInput.className = 'dictionary-pattern';
+  patternInput.placeholder = 'Word or pattern';
+  patternInput.value = entry.pattern;
+
+  const replacementInput = document.createElement('input');
+  replacementInput.type = 'text';
+  replacementInput.className = 'dictionary-replacement';
+  replacementInput.placeholder = 'Say as';
+  replacementInput.value = entry.replacement;
+
+  function createCheckbox(className, text, checked) {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = className;
+    checkbox.checked = Boolean(checked);
+    label.append(checkbox, text);
+    return label;
+  }
+
+  const removeButton = document.createElement('button');
+  removeButton.textContent = 'Remove';
+  removeButton.addEventListener('click', () => row.remove());
+
+  row.append(
+    patternInput,
+    replacementInput,
+    createCheckbox('dictionary-regex', 'Regex', entry.regex),
+    createCheckbox('dictionary-case', 'Match case', entry.matchCase),
+    removeButton
+  );
+  return row;
+}
+
+/**
+ * Set up the dictionary editor with import/export (options page)
+ * @param {Object} elements - DOM elements
+ * @returns {Promise<void>}
+ */
+async function initializeDictionaryEditor(elements) {
+  function renderEntries(entries) {
+    elements.dictionaryList.replaceChildren(...entries.map(createPronunciationRow));
+  }
+
+  function readEntries() {
+    return [...elements.dictionaryList.querySelectorAll('.dictionary-row')]
+      .map((row) => ({
+        pattern: row.querySelector('.dictionary-pattern').value.trim(),
+        replacement: row.querySelector('.dictionary-replacement').value,
+        regex: row.querySelector('.dictionary-regex').checked,
+        matchCase: row.querySelector('.dictionary-case').checked
+      }))
+      .filter((entry) => entry.pattern || entry.replacement);
+  }
+
+  async function saveEntries(entries) {
+    const errors = validatePronunciations(entries);
+    if (errors.length > 0) {
+      alert(errors.join('\n'));
+      return false;
+    }
+    await browser.storage.local.set({ pronunciations: entries.map(cleanPronunciation) });
+    return true;
+  }
+
+  const { pronunciations } = await browser.storage.local.get('pronunciations');
+  renderEntries(pronunciations || []);
+
+  elements.addPronunciationButton.addEventListener('click', () => {
+    elements.dictionaryList.appendChild(createPronunciationRow({ pattern: '', replacement: '' }));
+  });
+
+  elements.saveDictionaryButton.addEventListener('click', async () => {
+    try {
+      if (await saveEntries(readEntries())) alert('Dictionary saved!');
+    } catch (error) {
+      alert('Failed to save dictionary. Please try again.');
+    }
+  });
+
+  elements.exportDictionaryButton.addEventListener('click', async () => {
+    const { pronunciations: saved } = await browser.storage.local.get('pronunciations');
+    const blob = new Blob([JSON.stringify(saved || [], null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = DICTIONARY_EXPORT_FILENAME;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  });
+
+  elements.importDictionaryButton.addEventListener('click', () => elements.dictionaryFileInput.click());
+
+  elements.dictionaryFileInput.addEventListener('change', async () => {
+    const file = elements.dictionaryFileInput.files[0];
+    elements.dictionaryFileInput.value = '';
+    if (!file) return;
+
+    let imported;
+    try {
+      imported = JSON.parse(await file.text());
+    } catch (error) {
+      alert('The file is not valid JSON.');
+      return;
+    }
+
+    const errors = validatePronunciations(imported);
+    if (errors.length > 0) {
+      alert(errors.join('\n'));
+      return;
+    }
+
+    // Imported entries replace entries with the same pattern, the rest are added
+    const importedPatterns = new Set(imported.map((entry) => entry.pattern));
+    const merged = [
+      ...readEntries().filter((entry) => !importedPatterns.has(entry.pattern)),
+      ...imported
+    ];
+
+    try {
+      if (await saveEntries(merged)) {
+        renderEntries(merged.map(cleanPronunciation));
+        alert(`Imported ${imported.length} entries.`);
+      }
+    } catch (error) {
+      alert('Failed to save dictionary. Please try again.');
+    }
+  });
+}
@@ -0,0 +1,105 @@
+/**
+ * Planning of audio exports
+ * Long texts are synthesized in chunks that fit in one request and joined
+ * into a single file; chapters start at page headings or every N sentences.
+ */
+
+const CHAPTER_TITLE_LENGTH = 60;
+
+/**
+ * @typedef {Object} ExportChunk
+ * @property {string} text - Sentences synthesized in one request
+ * @property {number} chapter - Index of the chapter the chunk belongs to
+ * @property {number} start - Index of the first sentence
+ * @property {number} end - Index after the last sentence
+ */
+
+function chapterTitleFrom(sentence) {
+  return sentence.length > CHAPTER_TITLE_LENGTH
+    ? sentence.slice(0, CHAPTER_TITLE_LENGTH).trimEnd() + '…'
+    : sentence;
+}
+
+/**
+ * Sentence indexes where chapters start, with their titles
+ * @param {string[]} sentences
+ * @param {Object} settings
+ * @param {'headings'|'sentences'} settings.mode
+ * @param {number} settings.sentencesPerChapter
+ * @param {string[]} [settings.headings] - Headings of the source page
+ * @param {string} [settings.title] - Title for text before the first heading
+ * @returns {{start: number, title: string}[]}
+ */
+function planChapters(sentences, { mode, sentencesPerChapter, headings = [], title = '' }) {
+  if (mode === 'headings' && headings.length > 0) {
+    const normalize = (text) => text.replace(/\s+/g, ' ').trim();
+    const headingSet = new Set(headings.map(normalize));
+    const chapters = [];
+    sentences.forEach((sentence, index) => {
+      if (headingSet.has(normalize(sentence))) {
+        chapters.push({ start: index, title: normalize(sentence) });
+      }
+    });
+
+    if (chapters.length > 0) {
+      if (chapters[0].start > 0) {
+        chapters.unshift({ start: 0, title: title || chapterTitleFrom(sentences[0]) });
+      }
+      return chapters;
+    }
+  }
+
+  // Every N sentences, also the fallback when no heading was found in the text
+  const chapters = [];
+  for (let start = 0; start < sentences.length; start += sentencesPerChapter) {
+    chapters.push({ start, title: chapterTitleFrom(sentences[start]) });
+  }
+  return chapters;
+}
+
+/**
+ * Split sentences into request-sized chunks that never span two chapters
+ * @param {string[]} sentences
+ * @param {{start: number}[]} chapters - From planChapters
+ * @param {number} maxLength - Characters per chunk, 0 for one sentence per chunk
+ * @returns {ExportChunk[]}
+ */
+function planExportChunks(sentences, chapters, maxLength) {
+  const chunks = [];
+  chapters.forEach((chapter, chapterIndex) => {
+    const end = chapterIndex + 1 < chapters.length ? chapters[chapterIndex + 1].start : sentences.length;
+    let current = '';
+    let first = chapter.start;
+    for (let i = chapter.start; i < end; i++) {
+      if (current && current.length + sentences[i].length + 1 > maxLength) {
+        chunks.push({ text: current, chapter: chapterIndex, start: first, end: i });
+        current = '';
+        first = i;
+      }
+      // Line breaks keep the pause after headings and list items
+      current = current ? `${current}\n${sentences[i]}` : sentences[i];
+    }
+    if (current) chunks.push({ text: current, chapter: chapterIndex, start: first, end });
+  });
+  return chunks;
+}
+
+/**
+ * File name for an export, from the page title when there is one
+ * @param {string} [title]
+ * @param {string} [extension]
+ * @returns {string}
+ */
+function exportFilename(title, extension = 'mp3') {
+  const safeTitle = (title || '').replace(/[\\/:*?"<>|\u0000-\u001f]+/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 100);
+  if (safeTitle) return `${safeTitle}.${extension}`;
+
+  const now = new Date();
+  const timestamp = now.getFullYear() + '-' +
+    String(now.getMonth() + 1).padStart(2, '0') + '-' +
+    String(now.getDate()).padStart(2, '0') + '_' +
+    String(now.getHours()).padStart(2, '0') + '-' +
+    String(now.getMinutes()).padStart(2, '0') + '-' +
+    String(now.getSeconds()).padStart(2, '0');
+  return `tts-audio-${timestamp}.${extension}`;
+}
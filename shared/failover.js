@@ -0,0 +1,145 @@
+/**
+ * Failover between TTS endpoints
+ * Requests go to the first healthy endpoint; network errors, timeouts and 5xx
+ * responses move on to the next one. Failed endpoints are put on a cooldown
+ * so a dead server isn't tried first on every request.
+ */
+
+/**
+ * @typedef {Object} EndpointHealth
+ * @property {number} failures - Consecutive failures
+ * @property {number} retryAt - Timestamp until which the endpoint is demoted
+ */
+
+/** @type {Map<string, EndpointHealth>} */
+const endpointHealth = new Map();
+
+/**
+ * Join a base API URL and a path
+ * @param {string} baseUrl - e.g. http://localhost:8880/v1/
+ * @param {string} path - e.g. audio/speech
+ * @returns {string}
+ */
+function buildEndpointUrl(baseUrl, path) {
+  return baseUrl.endsWith('/') ? baseUrl + path : baseUrl + '/' + path;
+}
+
+/**
+ * Order endpoints for a request: healthy ones in configured order, then
+ * demoted ones, soonest-to-recover first
+ * @param {string[]} baseUrls
+ * @returns {string[]}
+ */
+function orderEndpoints(baseUrls) {
+  const now = Date.now();
+  const unique = [...new Set(baseUrls.filter(Boolean))];
+  const healthy = unique.filter((url) => !endpointHealth.has(url) || endpointHealth.get(url).retryAt <= now);
+  const demoted = unique
+    .filter((url) => !healthy.includes(url))
+    .sort((a, b) => endpointHealth.get(a).retryAt - endpointHealth.get(b).retryAt);
+  return [...healthy, ...demoted];
+}
+
+function markEndpointHealthy(baseUrl) {
+  endpointHealth.delete(baseUrl);
+}
+
+function markEndpointFailed(baseUrl) {
+  const failures = (endpointHealth.get(baseUrl)?.failures || 0) + 1;
+  const cooldown = Math.min(
+    CONFIG.ENDPOINT_COOLDOWN * 2 ** (failures - 1),
+    CONFIG.ENDPOINT_MAX_COOLDOWN
+  );
+  endpointHealth.set(baseUrl, { failures, retryAt: Date.now() + cooldown });
+}
+
+/**
+ * Whether a failed request should be retried on another endpoint
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isFailoverError(error) {
+  if (error.name === 'TimeoutError') return true;
+  if (error.status) return error.status >= 500;
+  // fetch rejects with a TypeError on connection failures
+  return error instanceof TypeError;
+}
+
+/**
+ * Fetch from a single endpoint, failing with a TimeoutError if no response
+ * headers arrive in time. The caller's signal aborts the request until the
+ * headers arrive; readers of a streamed body cancel it themselves.
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {number} timeout - Milliseconds to wait for the response
+ * @returns {Promise<Response>}
+ */
+async function fetchWithTimeout(url, init, timeout) {
+  const controller = new AbortController();
+  const callerSignal = init.signal;
+  const forwardAbort = () => controller.abort();
+  if (callerSignal) {
+    if (callerSignal.aborted) controller.abort();
+    callerSignal.addEventListener('abort', forwardAbort);
+  }
+
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (error) {
+    if (timedOut && !(callerSignal && callerSignal.aborted)) {
+      const timeoutError = new Error(`Request to ${url} timed out`);
+      timeoutError.name = 'TimeoutError';
+      throw timeoutError;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    // Long readings reuse one signal for hundreds of requests
+    if (callerSignal) callerSignal.removeEventListener('abort', forwardAbort);
+  }
+}
+
+/**
+ * Send a request to the first endpoint that answers
+ * @param {string[]} baseUrls - Primary API URL followed by fallbacks
+ * @param {string} path - Path relative to the API URL
+ * @param {RequestInit} init - Fetch options
+ * @param {Object} [failover]
+ * @param {boolean} [failover.trackHealth] - False for optional endpoints, whose
+ *   failures say nothing about the server's speech endpoint
+ * @returns {Promise<Response>} Successful response
+ */
+async function fetchWithFailover(baseUrls, path, init, { trackHealth = true } = {}) {
+  const endpoints = orderEndpoints(baseUrls);
+  let lastError = new Error('No TTS endpoint configured.');
+
+  for (const baseUrl of endpoints) {
+    try {
+      const response = await fetchWithTimeout(buildEndpointUrl(baseUrl, path), init, CONFIG.REQUEST_TIMEOUT);
+      if (!response.ok) {
+        const error = new Error(`API request failed with status: ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+      if (trackHealth) markEndpointHealthy(baseUrl);
+      return response;
+    } catch (error) {
+      if (error.name === 'AbortError' || !isFailoverError(error)) {
+        throw error;
+      }
+      if (trackHealth) markEndpointFailed(baseUrl);
+      if (endpoints.length > 1) {
+        console.warn(`TTS endpoint ${baseUrl} failed, trying next:`, error);
+      }
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+}
@@ -0,0 +1,85 @@
+/**
+ * Reading history
+ * Every reading is recorded with its source page and voice, together with the
+ * last sentence played so it can be resumed later. Only the most recent
+ * entries are kept (historyLimit).
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} id
+ * @property {string} text - Full text, needed to resume, re-read or download
+ * @property {string} title - Title of the source page
+ * @property {string} url - URL of the source page
+ * @property {string} voice - Voice the text was read with
+ * @property {number} timestamp - Last time the entry was read
+ * @property {number} sentenceIndex - Last sentence played
+ * @property {number} sentenceCount - 0 until the text has been split
+ */
+
+const HISTORY_SNIPPET_LENGTH = 120;
+
+/**
+ * Short preview of a history entry's text
+ * @param {HistoryEntry} entry
+ * @returns {string}
+ */
+function historySnippet(entry) {
+  const text = entry.text.replace(/\s+/g, ' ').trim();
+  return text.length > HISTORY_SNIPPET_LENGTH ? text.slice(0, HISTORY_SNIPPET_LENGTH) + '…' : text;
+}
+
+/**
+ * Load the history, most recent first
+ * @returns {Promise<HistoryEntry[]>}
+ */
+async function loadReadingHistory() {
+  const { readingHistory } = await browser.storage.local.get('readingHistory');
+  return readingHistory || [];
+}
+
+/**
+ * Add or update an entry, moving it to the top and applying the retention limit
+ * @param {HistoryEntry} entry
+ * @param {number} limit - Maximum number of entries kept
+ * @returns {Promise<void>}
+ */
+async function saveHistoryEntry(entry, limit) {
+  const entries = (await loadReadingHistory()).filter((e) => e.id !== entry.id);
+  await browser.storage.local.set({ readingHistory: [entry, ...entries].slice(0, limit) });
+}
+
+/**
+ * Update fields of an entry in place
+ * @param {string} entryId
+ * @param {Partial<HistoryEntry>} changes
+ * @returns {Promise<void>}
+ */
+async function updateHistoryEntry(entryId, changes) {
+  const entries = await loadReadingHistory();
+  const index = entries.findIndex((entry) => entry.id === entryId);
+  if (index === -1) return;
+
+  entries[index] = { ...entries[index], ...changes };
+  await browser.storage.local.set({ readingHistory: entries });
+}
+
+/**
+ * Drop the oldest entries beyond a limit
+ * @param {number} limit - Maximum number of entries kept
+ * @returns {Promise<void>}
+ */
+async function trimReadingHistory(limit) {
+  const entries = await loadReadingHistory();
+  if (entries.length > limit) {
+    await browser.storage.local.set({ readingHistory: entries.slice(0, limit) });
+  }
+}
+
+/**
+ * Remove every history entry
+ * @returns {Promise<void>}
+ */
+async function clearReadingHistory() {
+  await browser.storage.local.set({ readingHistory: [] });
+}
@@ -0,0 +1,13 @@
+/**
+ * Identifiers of stored items
+ * Profiles, reading rules, queue items and history entries are saved in
+ * storage with a short id made from the time and a random part.
+ */
+
+/**
+ * Generate a unique identifier for a stored item
+ * @returns {string}
+ */
+function createId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
@@ -0,0 +1,86 @@
+/**
+ * Lightweight language detection for voice rules
+ * Non-Latin scripts are recognized by Unicode ranges, Latin-script languages
+ * by counting common function words.
+ */
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  pt: 'Portuguese',
+  ja: 'Japanese',
+  zh: 'Chinese',
+  ko: 'Korean',
+  ru: 'Russian',
+  ar: 'Arabic',
+  hi: 'Hindi',
+  th: 'Thai',
+  el: 'Greek',
+  he: 'Hebrew'
+};
+
+const SCRIPT_PATTERNS = [
+  { language: 'ja', pattern: /[\u3040-\u30ff]/g }, // Hiragana, Katakana
+  { language: 'ko', pattern: /[\uac00-\ud7af\u1100-\u11ff]/g }, // Hangul
+  { language: 'zh', pattern: /[\u4e00-\u9fff\u3400-\u4dbf]/g }, // CJK ideographs
+  { language: 'ru', pattern: /[\u0400-\u04ff]/g }, // Cyrillic
+  { language: 'ar', pattern: /[\u0600-\u06ff]/g },
+  { language: 'hi', pattern: /[\u0900-\u097f]/g }, // Devanagari
+  { language: 'th', pattern: /[\u0e00-\u0e7f]/g },
+  { language: 'el', pattern: /[\u0370-\u03ff]/g },
+  { language: 'he', pattern: /[\u0590-\u05ff]/g }
+];
+
+const STOPWORDS = {
+  en: ['the', 'and', 'is', 'of', 'to', 'in', 'that', 'it', 'with', 'for', 'this', 'was'],
+  es: ['el', 'la', 'de', 'que', 'y', 'en', 'los', 'se', 'por', 'una', 'es', 'con'],
+  fr: ['le', 'la', 'les', 'de', 'et', 'est', 'un', 'une', 'des', 'que', 'pour', 'dans'],
+  de: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'ein', 'eine', 'mit', 'den', 'zu', 'ich'],
+  it: ['il', 'di', 'che', 'e', 'la', 'per', 'un', 'non', 'sono', 'della', 'gli', 'con'],
+  pt: ['o', 'de', 'que', 'e', 'do', 'da', 'em', 'um', 'para', 'não', 'uma', 'os']
+};
+
+// Only the beginning of long texts is inspected
+const DETECTION_SAMPLE_LENGTH = 2000;
+
+/**
+ * Detect the dominant language of a text
+ * @param {string} text
+ * @returns {string|null} Language code (see LANGUAGE_NAMES), or null if unknown
+ */
+function detectLanguage(text) {
+  const sample = text.slice(0, DETECTION_SAMPLE_LENGTH);
+  const letters = (sample.match(/\p{L}/gu) || []).length;
+  if (letters === 0) return null;
+
+  const counts = {};
+  SCRIPT_PATTERNS.forEach(({ language, pattern }) => {
+    counts[language] = (sample.match(pattern) || []).length;
+  });
+
+  // Japanese mixes kana and kanji; without kana, Han characters mean Chinese
+  if (counts.ja > 0 && (counts.ja + counts.zh) / letters > 0.3) {
+    return 'ja';
+  }
+  for (const { language } of SCRIPT_PATTERNS) {
+    if (language !== 'ja' && counts[language] / letters > 0.3) {
+      return language;
+    }
+  }
+
+  const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+  let bestLanguage = null;
+  let bestScore = 0;
+  Object.entries(STOPWORDS).forEach(([language, stopwords]) => {
+    const score = words.filter((word) => stopwords.includes(word)).length;
+    if (score > bestScore) {
+      bestLanguage = language;
+      bestScore = score;
+    }
+  });
+
+  return bestLanguage;
+}
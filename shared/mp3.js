@@ -0,0 +1,196 @@
+/**
+ * MP3 helpers for exports
+ * Chunks generated by the server are joined frame by frame (dropping their
+ * own ID3 tags and Xing/Info headers, which would describe only the first
+ * chunk), and the result gets an ID3v2.3 tag with metadata and chapters
+ * (ID3v2 Chapter Frame Addendum: CTOC + CHAP).
+ */
+
+const MP3_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320], // MPEG-1 Layer III
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160] // MPEG-2/2.5 Layer III
+};
+
+const MP3_SAMPLE_RATES = {
+  3: [44100, 48000, 32000], // MPEG-1
+  2: [22050, 24000, 16000], // MPEG-2
+  0: [11025, 12000, 8000] // MPEG-2.5
+};
+
+// CTOC stores its entry count in one byte
+const MAX_CHAPTERS = 255;
+
+function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach((part) => {
+    result.set(part, position);
+    position += part.length;
+  });
+  return result;
+}
+
+/**
+ * Read the MPEG Layer III frame header at an offset
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {{length: number, samples: number, sampleRate: number, sideInfoLength: number}|null}
+ */
+function readMp3FrameHeader(bytes, offset) {
+  if (offset + 4 > bytes.length) return null;
+  if (bytes[offset] !== 0xff || (bytes[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const version = (bytes[offset + 1] >> 3) & 0x03;
+  const layer = (bytes[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = bytes[offset + 2] >> 4;
+  const sampleRateIndex = (bytes[offset + 2] >> 2) & 0x03;
+  const padding = (bytes[offset + 2] >> 1) & 0x01;
+  const mono = (bytes[offset + 3] >> 6) === 0x03;
+
+  if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const isMpeg1 = version === 3;
+  const bitrate = MP3_BITRATES[isMpeg1 ? 1 : 2][bitrateIndex] * 1000;
+  const sampleRate = MP3_SAMPLE_RATES[version][sampleRateIndex];
+  return {
+    length: Math.floor(((isMpeg1 ? 144 : 72) * bitrate) / sampleRate) + padding,
+    samples: isMpeg1 ? 1152 : 576,
+    sampleRate,
+    sideInfoLength: isMpeg1 ? (mono ? 17 : 32) : (mono ? 9 : 17)
+  };
+}
+
+/**
+ * Whether a frame only carries a Xing/Info/VBRI header instead of audio
+ * @param {Uint8Array} bytes
+ * @param {number} offset - Frame start
+ * @param {{sideInfoLength: number}} header
+ * @returns {boolean}
+ */
+function isVbrHeaderFrame(bytes, offset, header) {
+  const tagAt = (position) => String.fromCharCode(...bytes.subarray(position, position + 4));
+  const xing = tagAt(offset + 4 + header.sideInfoLength);
+  return xing === 'Xing' || xing === 'Info' || tagAt(offset + 36) === 'VBRI';
+}
+
+/**
+ * Extract the audio frames of an MP3 file and measure its duration
+ * @param {Uint8Array} bytes
+ * @returns {{frames: Uint8Array, duration: number}} Duration in seconds
+ */
+function parseMp3(bytes) {
+  let offset = 0;
+  let end = bytes.length;
+
+  // Leading ID3v2 tag (size is synchsafe)
+  if (bytes[0] === 0x49 && bytes[1] === 0x44 && bytes[2] === 0x33) {
+    offset = 10 + ((bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9]);
+  }
+  // Trailing ID3v1 tag
+  if (end >= 128 && bytes[end - 128] === 0x54 && bytes[end - 127] === 0x41 && bytes[end - 126] === 0x47) {
+    end -= 128;
+  }
+
+  const chunks = [];
+  let duration = 0;
+  let first = true;
+
+  while (offset < end) {
+    const header = readMp3FrameHeader(bytes, offset);
+    if (!header || offset + header.length > end) {
+      // Not a frame start (junk between frames, truncated frame): resync
+      offset++;
+      continue;
+    }
+
+    if (!(first && isVbrHeaderFrame(bytes, offset, header))) {
+      chunks.push(bytes.subarray(offset, offset + header.length));
+      duration += header.samples / header.sampleRate;
+    }
+    first = false;
+    offset += header.length;
+  }
+
+  return { frames: concatBytes(chunks), duration };
+}
+
+function uint32Bytes(value) {
+  return new Uint8Array([(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff]);
+}
+
+function latin1Bytes(text) {
+  return Uint8Array.from(text, (char) => char.charCodeAt(0) & 0xff);
+}
+
+// UTF-16 with byte order mark (ID3v2.3 text encoding 1)
+function utf16Bytes(text, terminated = false) {
+  const bytes = [0xff, 0xfe];
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    bytes.push(code & 0xff, code >> 8);
+  }
+  if (terminated) bytes.push(0, 0);
+  return new Uint8Array(bytes);
+}
+
+function id3Frame(id, data) {
+  return concatBytes([latin1Bytes(id), uint32Bytes(data.length), new Uint8Array(2), data]);
+}
+
+function id3TextFrame(id, text) {
+  return id3Frame(id, concatBytes([new Uint8Array([1]), utf16Bytes(text)]));
+}
+
+/**
+ * Build an ID3v2.3 tag
+ * @param {Object} metadata
+ * @param {string} [metadata.title]
+ * @param {string} [metadata.artist]
+ * @param {string} [metadata.album]
+ * @param {string} [metadata.url] - Source page
+ * @param {string} [metadata.comment]
+ * @param {{title: string, start: number, end: number}[]} [metadata.chapters] - Times in seconds
+ * @returns {Uint8Array}
+ */
+function buildId3Tag(metadata) {
+  const frames = [];
+  if (metadata.title) frames.push(id3TextFrame('TIT2', metadata.title));
+  if (metadata.artist) frames.push(id3TextFrame('TPE1', metadata.artist));
+  if (metadata.album) frames.push(id3TextFrame('TALB', metadata.album));
+  if (metadata.url) frames.push(id3Frame('WOAS', latin1Bytes(metadata.url.replace(/[^\x20-\x7e]/g, encodeURIComponent))));
+  if (metadata.comment) {
+    frames.push(id3Frame('COMM', concatBytes([
+      new Uint8Array([1]), latin1Bytes('eng'), utf16Bytes('', true), utf16Bytes(metadata.comment)
+    ])));
+  }
+
+  const chapters = (metadata.chapters || []).slice(0, MAX_CHAPTERS);
+  if (chapters.length > 0) {
+    const ids = chapters.map((chapter, index) => `chp${index}`);
+    frames.push(id3Frame('CTOC', concatBytes([
+      latin1Bytes('toc\0'),
+      new Uint8Array([0x03, ids.length]), // top-level, ordered
+      ...ids.map((id) => latin1Bytes(id + '\0'))
+    ])));
+    chapters.forEach((chapter, index) => {
+      frames.push(id3Frame('CHAP', concatBytes([
+        latin1Bytes(ids[index] + '\0'),
+        uint32Bytes(Math.round(chapter.start * 1000)),
+        uint32Bytes(Math.round(chapter.end * 1000)),
+        uint32Bytes(0xffffffff), // no byte offsets
+        uint32Bytes(0xffffffff),
+        id3TextFrame('TIT2', chapter.title)
+      ])));
+    });
+  }
+
+  const body = concatBytes(frames);
+  const size = body.length;
+  const header = new Uint8Array([
+    0x49, 0x44, 0x33, 0x03, 0x00, 0x00,
+    (size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f
+  ]);
+  return concatBytes([header, body]);
+}
@@ -0,0 +1,129 @@
+/**
+ * Text normalization before synthesis
+ * Each rule rewrites things that shouldn't be read literally (URLs, footnote
+ * markers, markdown...) and can be toggled in the options page. Rules run in
+ * the order listed.
+ */
+
+const ABBREVIATION_EXPANSIONS = [
+  [/\be\.g\.,?/gi, 'for example'],
+  [/\bi\.e\.,?/gi, 'that is'],
+  [/\betc\./gi, 'et cetera'],
+  [/\bvs\.?(?=\s)/gi, 'versus'],
+  [/\bapprox\./gi, 'approximately'],
+  [/\bfig\.(?=\s*\d)/gi, 'figure'],
+  [/\bno\.(?=\s*\d)/gi, 'number'],
+  [/\bw\/(?=\s)/gi, 'with']
+];
+
+/**
+ * @typedef {Object} NormalizationRule
+ * @property {string} id - Key in the stored normalizationRules object
+ * @property {string} label - Shown in the options page
+ * @property {function(string): string} apply
+ */
+
+/** @type {NormalizationRule[]} */
+const NORMALIZATION_RULES = [
+  {
+    id: 'hyphenation',
+    label: 'Join words hyphenated across line breaks (PDFs)',
+    apply: (text) => text.replace(/(\p{L})-[ \t]*\r?\n[ \t]*(?=\p{Ll})/gu, '$1')
+  },
+  {
+    id: 'markdown',
+    label: 'Strip markdown symbols',
+    apply: (text) => text
+      .replace(/!?\[([^\]\n]+)\]\([^)\s]+\)/g, '$1') // [text](url), images
+      .replace(/^[ \t]*(?:#{1,6}|>+|[-*+])[ \t]+/gm, '') // headings, quotes, bullets
+      .replace(/(\*\*|__|~~|`+)(.+?)\1/g, '$2')
+      .replace(/^[ \t]*(?:[-*_][ \t]*){3,}$/gm, '') // horizontal rules
+  },
+  {
+    id: 'urls',
+    label: 'Shorten links to "link to example.com"',
+    apply: (text) => text.replace(
+      /\b(?:https?:\/\/|www\.)[^\s<>"')\]]+/gi,
+      (url) => {
+        const host = url.replace(/^https?:\/\//i, '').replace(/^www\./i, '').split(/[/?#:]/)[0];
+        return host ? `link to ${host}` : '';
+      }
+    )
+  },
+  {
+    id: 'citations',
+    label: 'Remove citation markers like [12] or [citation needed]',
+    apply: (text) => text
+      .replace(/\[\s*\d+(?:\s*[,–-]\s*\d+)*\s*\]/g, '')
+      .replace(/\[(?:citation|clarification|verification) needed\]/gi, '')
+  },
+  {
+    id: 'emoji',
+    label: 'Remove emoji',
+    apply: (text) => text.replace(/\p{Extended_Pictographic}(?:\p{Emoji_Modifier}|\uFE0F|\u200D\p{Extended_Pictographic})*/gu, '')
+  },
+  {
+    id: 'abbreviations',
+    label: 'Expand common abbreviations (e.g., i.e., etc.)',
+    apply: (text) => ABBREVIATION_EXPANSIONS.reduce(
+      (result, [pattern, expansion]) => result.replace(pattern, expansion),
+      text
+    )
+  }
+];
+
+/**
+ * Which rules are enabled; rules missing from the stored object are on
+ * @param {Object<string, boolean>} [stored] - normalizationRules from storage
+ * @returns {Object<string, boolean>}
+ */
+function resolveNormalizationRules(stored = {}) {
+  const enabled = {};
+  NORMALIZATION_RULES.forEach((rule) => {
+    enabled[rule.id] = stored[rule.id] ?? true;
+  });
+  return enabled;
+}
+
+/**
+ * Run the enabled rules over a text
+ * @param {string} text
+ * @param {Object<string, boolean>} enabledRules - From resolveNormalizationRules
+ * @returns {string}
+ */
+function normalizeText(text, enabledRules) {
+  const normalized = NORMALIZATION_RULES
+    .filter((rule) => enabledRules[rule.id])
+    .reduce((result, rule) => rule.apply(result), text);
+  // Removed markers leave doubled spaces and spaces before punctuation
+  return normalized.replace(/[ \t]{2,}/g, ' ').replace(/[ \t]+([.,;:!?])/g, '$1');
+}
+
+/**
+ * Render the rule toggles (options page); changes are saved immediately
+ * @param {HTMLElement} container
+ * @returns {Promise<void>}
+ */
+async function initializeNormalizationSettings(container) {
+  const { normalizationRules } = await browser.storage.local.get('normalizationRules');
+  const enabled = resolveNormalizationRules(normalizationRules);
+
+  container.replaceChildren(...NORMALIZATION_RULES.map((rule) => {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'toggle-container';
+    const label = document.createElement('label');
+    label.className = 'toggle-label';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = enabled[rule.id];
+
+    checkbox.addEventListener('change', async () => {
+      enabled[rule.id] = checkbox.checked;
+      await browser.storage.local.set({ normalizationRules: { ...enabled } });
+    });
+
+    label.append(rule.label + ':', checkbox);
+    wrapper.appendChild(label);
+    return wrapper;
+  }));
+}
@@ -0,0 +1,193 @@
+/**
+ * Playback controller
+ * One object owns the playback state of every mode: the sentence queue,
+ * short texts played as a single file, and streams (PCM through an
+ * AudioContext, compressed formats through an audio element). Modes hand it
+ * their audio once it is ready; while paused the audio is kept ready without
+ * playing, so fetches finishing during a pause never restart playback.
+ */
+
+/**
+ * @typedef {'idle'|'loading'|'playing'|'paused'} PlaybackState
+ * loading: a reading is active but its next audio has not arrived yet
+ */
+
+/**
+ * @typedef {'sentences'|'single'|'stream'} PlaybackMode
+ */
+
+// States each state may move to
+const PLAYBACK_TRANSITIONS = {
+  idle: ['loading'],
+  loading: ['playing', 'paused', 'idle'],
+  playing: ['loading', 'paused', 'idle'],
+  paused: ['loading', 'playing', 'idle']
+};
+
+/**
+ * Create a playback controller.
+ * Events: "statechange" ({state, previous, mode}) on every transition and
+ * "finish" (no detail) when a reading has played to the end.
+ * @returns {Object}
+ */
+function createPlaybackController() {
+  const listeners = new Map();
+
+  const controller = {
+    /** @type {PlaybackState} */
+    state: 'idle',
+    /** @type {PlaybackMode|null} */
+    mode: null,
+    /** @type {HTMLAudioElement|null} Audio of the current sentence, file or compressed stream */
+    audio: null,
+    /** @type {AudioContext|null} Context of the current PCM stream */
+    context: null,
+    // Incremented by stop(); async work compares it to notice it was cancelled
+    session: 0,
+
+    /**
+     * Listen to an event
+     * @param {string} event
+     * @param {function(Object=): void} listener
+     */
+    on(event, listener) {
+      if (!listeners.has(event)) listeners.set(event, []);
+      listeners.get(event).push(listener);
+    },
+
+    emit(event, detail) {
+      (listeners.get(event) || []).forEach((listener) => {
+        try {
+          listener(detail);
+        } catch (error) {
+          console.error(`Playback ${event} listener failed:`, error);
+        }
+      });
+    },
+
+    /**
+     * Move to another state
+     * @param {PlaybackState} state
+     * @returns {boolean} False if the transition is not allowed from the current state
+     */
+    transition(state) {
+      if (state === controller.state) return true;
+      if (!PLAYBACK_TRANSITIONS[controller.state].includes(state)) return false;
+      const previous = controller.state;
+      controller.state = state;
+      controller.emit('statechange', { state, previous, mode: controller.mode });
+      return true;
+    },
+
+    /**
+     * Start a reading; it is loading until a mode hands over its audio
+     * @param {PlaybackMode} mode
+     */
+    begin(mode) {
+      controller.release();
+      controller.mode = mode;
+      controller.transition('loading');
+    },
+
+    /**
+     * Play an audio element, or keep it ready when paused
+     * @param {HTMLAudioElement} audio
+     * @returns {Promise<void>} Rejects like audio.play()
+     */
+    playAudio(audio) {
+      if (controller.state === 'idle') return Promise.resolve();
+      if (controller.audio !== audio) controller.release();
+      controller.audio = audio;
+      if (controller.state === 'paused') return Promise.resolve();
+      controller.transition('playing');
+      return audio.play();
+    },
+
+    /**
+     * Play through the AudioContext of a PCM stream, suspended right away when paused
+     * @param {AudioContext} context
+     */
+    useContext(context) {
+      controller.context = context;
+      if (controller.state === 'paused') {
+        context.suspend().catch(() => {});
+      } else {
+        controller.transition('playing');
+      }
+    },
+
+    /**
+     * The next audio is still being fetched
+     */
+    waitForAudio() {
+      if (controller.state === 'playing') controller.transition('loading');
+    },
+
+    pause() {
+      if (controller.state !== 'playing' && controller.state !== 'loading') return;
+      if (controller.audio) controller.audio.pause();
+      if (controller.context) controller.context.suspend().catch(() => {});
+      controller.transition('paused');
+    },
+
+    resume() {
+      if (controller.state !== 'paused') return;
+      if (controller.context) {
+        controller.context.resume().catch(() => {});
+      } else if (controller.audio) {
+        controller.audio.play().catch(() => {});
+      } else {
+        // Paused while fetching: plays once the audio arrives
+        controller.transition('loading');
+        return;
+      }
+      controller.transition('playing');
+    },
+
+    toggle() {
+      if (controller.state === 'paused') {
+        controller.resume();
+      } else {
+        controller.pause();
+      }
+    },
+
+    /**
+     * Let go of the audio without changing state, e.g. between two sentences
+     */
+    release() {
+      if (controller.audio) {
+        controller.audio.onended = null;
+        controller.audio.onerror = null;
+        controller.audio.pause();
+        controller.audio = null;
+      }
+      if (controller.context) {
+        controller.context.close().catch(() => {});
+        controller.context = null;
+      }
+    },
+
+    /**
+     * End the reading early; pending async work sees a new session
+     */
+    stop() {
+      controller.release();
+      controller.session++;
+      controller.mode = null;
+      controller.transition('idle');
+    },
+
+    /**
+     * The reading played to the end
+     */
+    finish() {
+      controller.release();
+      controller.mode = null;
+      controller.transition('idle');
+      controller.emit('finish');
+    }
+  };
+
+  return controller;
+}
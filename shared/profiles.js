@@ -0,0 +1,185 @@
+/**
+ * Named server profiles
+ * Each profile stores its own endpoint, key, model, voice, speed, mode and
+ * stream format.
+ * The active profile is mirrored into the top-level settings keys, so every
+ * consumer (background state, settings UI) keeps reading the same keys.
+ */
+
+/**
+ * @typedef {Object} TTSProfile
+ * @property {string} id - Unique profile identifier
+ * @property {string} name - Display name
+ * @property {string} apiUrl
+ * @property {string} apiKey
+ * @property {string[]} fallbackUrls
+ * @property {string} model
+ * @property {string} voice
+ * @property {number} speechSpeed
+ * @property {boolean} streamingMode
+ * @property {boolean} downloadMode
+ * @property {string} downloadFormat
+ * @property {string} streamFormat - Key of STREAM_FORMATS
+ * @property {number} pcmSampleRate - Raw PCM streams only
+ * @property {number} pcmChannels
+ */
+
+const PROFILE_FIELDS = [
+  'apiUrl', 'apiKey', 'fallbackUrls', 'model', 'voice',
+  'speechSpeed', 'streamingMode', 'downloadMode', 'downloadFormat',
+  'streamFormat', 'pcmSampleRate', 'pcmChannels'
+];
+
+// Written on activation for fields a profile lacks (saved before the field
+// existed), so no setting is carried over from the previous profile
+const PROFILE_FIELD_DEFAULTS = {
+  apiUrl: CONFIG.DEFAULT_API_URL,
+  apiKey: CONFIG.DEFAULT_API_KEY,
+  fallbackUrls: [],
+  model: CONFIG.DEFAULT_MODEL,
+  voice: CONFIG.DEFAULT_VOICE,
+  speechSpeed: CONFIG.DEFAULT_SPEED,
+  streamingMode: false,
+  downloadMode: false,
+  downloadFormat: CONFIG.DEFAULT_DOWNLOAD_FORMAT,
+  streamFormat: CONFIG.DEFAULT_STREAM_FORMAT,
+  pcmSampleRate: CONFIG.PCM_SAMPLE_RATE,
+  pcmChannels: CONFIG.PCM_NUM_CHANNELS
+};
+
+/**
+ * @typedef {Object} StreamSettings
+ * @property {string} format - Key of STREAM_FORMATS
+ * @property {number} sampleRate - Raw PCM only, WAV streams carry their own
+ * @property {number} channels
+ */
+
+/**
+ * Stream format of a profile or of the active settings
+ * @param {{streamFormat?: string, pcmSampleRate?: number, pcmChannels?: number}} settings
+ * @returns {StreamSettings}
+ */
+function streamSettings(settings) {
+  return {
+    format: STREAM_FORMATS[settings.streamFormat] ? settings.streamFormat : CONFIG.DEFAULT_STREAM_FORMAT,
+    sampleRate: settings.pcmSampleRate || CONFIG.PCM_SAMPLE_RATE,
+    channels: settings.pcmChannels || CONFIG.PCM_NUM_CHANNELS
+  };
+}
+
+/**
+ * Copy the per-profile fields out of a settings object
+ * @param {Object} settings
+ * @returns {Object}
+ */
+function pickProfileFields(settings) {
+  const fields = {};
+  PROFILE_FIELDS.forEach((field) => {
+    if (settings[field] !== undefined) fields[field] = settings[field];
+  });
+  return fields;
+}
+
+/**
+ * Load profiles from storage
+ * @returns {Promise<{profiles: TTSProfile[], activeProfileId: string|null}>}
+ */
+async function loadProfiles() {
+  const data = await browser.storage.local.get(['profiles', 'activeProfileId']);
+  return {
+    profiles: data.profiles || [],
+    activeProfileId: data.activeProfileId || null
+  };
+}
+
+/**
+ * Make sure at least one profile exists, creating "Default" from the current settings
+ * @param {Object} currentSettings - Settings currently in use
+ * @returns {Promise<{profiles: TTSProfile[], activeProfileId: string}>}
+ */
+async function ensureProfiles(currentSettings) {
+  const { profiles, activeProfileId } = await loadProfiles();
+  if (profiles.length > 0) {
+    const activeExists = profiles.some((profile) => profile.id === activeProfileId);
+    return { profiles, activeProfileId: activeExists ? activeProfileId : profiles[0].id };
+  }
+
+  const profile = { id: createId(), name: 'Default', ...pickProfileFields(currentSettings) };
+  await browser.storage.local.set({ profiles: [profile], activeProfileId: profile.id });
+  return { profiles: [profile], activeProfileId: profile.id };
+}
+
+/**
+ * Switch to a profile by copying its fields into the active settings; every
+ * field is written, with its default when the profile lacks it
+ * @param {string} profileId
+ * @returns {Promise<void>}
+ */
+async function activateProfile(profileId) {
+  const { profiles } = await loadProfiles();
+  const profile = profiles.find((p) => p.id === profileId);
+  if (!profile) {
+    throw new Error('Profile not found.');
+  }
+
+  const fields = {};
+  PROFILE_FIELDS.forEach((field) => {
+    fields[field] = profile[field] !== undefined ? profile[field] : PROFILE_FIELD_DEFAULTS[field];
+  });
+  await browser.storage.local.set({ ...fields, activeProfileId: profile.id });
+}
+
+/**
+ * Write settings back into the active profile
+ * @param {Object} settings - Settings that were just saved
+ * @returns {Promise<void>}
+ */
+async function updateActiveProfile(settings) {
+  const { profiles, activeProfileId } = await loadProfiles();
+  const index = profiles.findIndex((profile) => profile.id === activeProfileId);
+  if (index === -1) return;
+
+  profiles[index] = { ...profiles[index], ...pickProfileFields(settings) };
+  await browser.storage.local.set({ profiles });
+}
+
+/**
+ * Create a profile from settings and make it active
+ * @param {string} name - Display name
+ * @param {Object} settings - Settings for the new profile
+ * @returns {Promise<TTSProfile>}
+ */
+async function createProfile(name, settings) {
+  const trimmedName = name.trim();
+  if (!trimmedName) {
+    throw new Error('Profile name cannot be empty.');
+  }
+
+  const { profiles } = await loadProfiles();
+  if (profiles.some((profile) => profile.name === trimmedName)) {
+    throw new Error(`A profile named "${trimmedName}" already exists.`);
+  }
+
+  const profile = { id: createId(), name: trimmedName, ...pickProfileFields(settings) };
+  await browser.storage.local.set({ profiles: [...profiles, profile] });
+  await activateProfile(profile.id);
+  return profile;
+}
+
+/**
+ * Delete a profile; the first remaining one becomes active if needed
+ * @param {string} profileId
+ * @returns {Promise<void>}
+ */
+async function deleteProfile(profileId) {
+  const { profiles, activeProfileId } = await loadProfiles();
+  if (profiles.length <= 1) {
+    throw new Error('The last profile cannot be deleted.');
+  }
+
+  const remaining = profiles.filter((profile) => profile.id !== profileId);
+  await browser.storage.local.set({ profiles: remaining });
+  if (activeProfileId === profileId) {
+    await activateProfile(remaining[0].id);
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * Reading queue
+ * Selections added with "Add to Queue" are kept in storage and read one
+ * after another; an item is removed once it has been read to the end.
+ */
+
+/**
+ * @typedef {Object} QueueItem
+ * @property {string} id
+ * @property {string} text
+ * @property {string} title - Title of the page the text came from
+ * @property {string} url
+ * @property {number|null} tabId - Source tab, used for highlighting while it is still open
+ * @property {number} addedAt - Timestamp
+ */
+
+/**
+ * Load the queue from storage
+ * @returns {Promise<QueueItem[]>}
+ */
+async function loadReadingQueue() {
+  const { readingQueue } = await browser.storage.local.get('readingQueue');
+  return readingQueue || [];
+}
+
+/**
+ * Save the queue to storage
+ * @param {QueueItem[]} items
+ * @returns {Promise<void>}
+ */
+async function saveReadingQueue(items) {
+  await browser.storage.local.set({ readingQueue: items });
+}
+
+/**
+ * Append text to the end of the queue
+ * @param {string} text
+ * @param {{title?: string, url?: string, tabId?: number}} [source] - Page the text came from
+ * @returns {Promise<QueueItem>}
+ */
+async function addToReadingQueue(text, source = {}) {
+  const item = {
+    id: createId(),
+    text: text.trim(),
+    title: source.title || '',
+    url: source.url || '',
+    tabId: source.tabId ?? null,
+    addedAt: Date.now()
+  };
+  await saveReadingQueue([...(await loadReadingQueue()), item]);
+  return item;
+}
+
+/**
+ * Remove an item from the queue
+ * @param {string} itemId
+ * @returns {Promise<void>}
+ */
+async function removeFromReadingQueue(itemId) {
+  const items = await loadReadingQueue();
+  await saveReadingQueue(items.filter((item) => item.id !== itemId));
+}
+
+/**
+ * Move an item up or down the queue
+ * @param {string} itemId
+ * @param {number} offset - -1 to move up, 1 to move down
+ * @returns {Promise<void>}
+ */
+async function moveReadingQueueItem(itemId, offset) {
+  const items = await loadReadingQueue();
+  const index = items.findIndex((item) => item.id === itemId);
+  const target = index + offset;
+  if (index === -1 || target < 0 || target >= items.length) return;
+
+  [items[index], items[target]] = [items[target], items[index]];
+  await saveReadingQueue(items);
+}
@@ -0,0 +1,206 @@
+/**
+ * Per-site and per-language voice rules
+ * Rules are checked top to bottom against the tab's domain and the detected
+ * language of the text; every matching rule applies its profile, voice and
+ * speed, so later rules override earlier ones.
+ */
+
+/**
+ * @typedef {Object} ReadingRule
+ * @property {string} id
+ * @property {'domain'|'language'} type
+ * @property {string} pattern - Domain (matches subdomains too) or language code
+ * @property {string} [profileId] - Server profile to use
+ * @property {string} [voice] - Voice string or "preset:<name>"
+ * @property {number} [speed]
+ */
+
+/**
+ * Whether a hostname belongs to a domain pattern
+ * @param {string} hostname - e.g. news.example.com
+ * @param {string} pattern - e.g. example.com or *.example.com
+ * @returns {boolean}
+ */
+function matchesDomain(hostname, pattern) {
+  const domain = pattern.trim().toLowerCase().replace(/^\*\./, '');
+  if (!hostname || !domain) return false;
+  return hostname === domain || hostname.endsWith('.' + domain);
+}
+
+/**
+ * Whether a rule applies to the text being read
+ * @param {ReadingRule} rule
+ * @param {{hostname: string|null, language: string|null}} context
+ * @returns {boolean}
+ */
+function ruleMatches(rule, context) {
+  if (rule.type === 'domain') return matchesDomain(context.hostname, rule.pattern);
+  if (rule.type === 'language') return rule.pattern === context.language;
+  return false;
+}
+
+/**
+ * Apply matching rules to speech request options
+ * @param {Object} options - Options from the current settings (see SpeechOptions in background.js)
+ * @param {ReadingRule[]} rules
+ * @param {Object} context
+ * @param {string|null} context.hostname - Domain of the source tab
+ * @param {string|null} context.language - Detected language of the text
+ * @param {Object[]} context.profiles - Saved server profiles
+ * @param {function(string): string} context.resolveVoice - Resolves voice presets
+ * @returns {Object} New options
+ */
+function applyReadingRules(options, rules, context) {
+  const result = { ...options };
+
+  rules.filter((rule) => ruleMatches(rule, context)).forEach((rule) => {
+    const profile = rule.profileId && context.profiles.find((p) => p.id === rule.profileId);
+    if (profile) {
+      if (profile.apiUrl) result.apiUrls = [profile.apiUrl, ...(profile.fallbackUrls || [])];
+      if (profile.apiKey) result.apiKey = profile.apiKey;
+      if (profile.model) result.model = profile.model;
+      if (profile.voice) result.voice = context.resolveVoice(profile.voice);
+      if (profile.speechSpeed) {
+        result.speed = profile.speechSpeed;
+        result.ruleSpeed = true;
+      }
+      if (profile.streamFormat) result.stream = streamSettings(profile);
+    }
+    if (rule.voice) result.voice = context.resolveVoice(rule.voice);
+    if (rule.speed) {
+      result.speed = rule.speed;
+      result.ruleSpeed = true;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Create an editable rule row (options page)
+ * @param {ReadingRule} rule
+ * @param {Object[]} profiles - Saved server profiles
+ * @returns {HTMLElement}
+ */
+function createRuleRow(rule, profiles) {
+  const row = document.createElement('div');
+  row.className = 'rule-row';
+  row.dataset.id = rule.id;
+
+  const typeSelect = document.createElement('select');
+  typeSelect.className = 'rule-type';
+  typeSelect.append(new Option('Site', 'domain'), new Option('Language', 'language'));
+  typeSelect.value = rule.type;
+
+  const patternInput = document.createElement('input');
+  patternInput.type = 'text';
+  patternInput.className = 'rule-pattern';
+  patternInput.value = rule.pattern || '';
+
+  const languageSelect = document.createElement('select');
+  languageSelect.className = 'rule-language';
+  languageSelect.append(...Object.entries(LANGUAGE_NAMES).map(([code, name]) => new Option(name, code)));
+  if (rule.type === 'language' && rule.pattern) languageSelect.value = rule.pattern;
+
+  const profileSelect = document.createElement('select');
+  profileSelect.className = 'rule-profile';
+  profileSelect.append(new Option('Current profile', ''), ...profiles.map((p) => new Option(p.name, p.id)));
+  profileSelect.value = rule.profileId || '';
+
+  const voiceInput = document.createElement('input');
+  voiceInput.type = 'text';
+  voiceInput.className = 'rule-voice';
+  voiceInput.placeholder = 'Voice (optional)';
+  voiceInput.setAttribute('list', 'voiceOptions');
+  voiceInput.value = rule.voice || '';
+
+  const speedInput = document.createElement('input');
+  speedInput.type = 'number';
+  speedInput.className = 'rule-speed';
+  speedInput.placeholder = 'Speed';
+  speedInput.min = '0.1';
+  speedInput.max = '10';
+  speedInput.step = '0.1';
+  speedInput.value = rule.speed || '';
+
+  const removeButton = document.createElement('button');
+  removeButton.textContent = 'Remove';
+  removeButton.addEventListener('click', () => row.remove());
+
+  function updatePatternField() {
+    const isDomain = typeSelect.value === 'domain';
+    patternInput.hidden = !isDomain;
+    languageSelect.hidden = isDomain;
+    patternInput.placeholder = 'example.com';
+  }
+  typeSelect.addEventListener('change', updatePatternField);
+  updatePatternField();
+
+  row.append(typeSelect, patternInput, languageSelect, profileSelect, voiceInput, speedInput, removeButton);
+  return row;
+}
+
+/**
+ * Read a rule back from its row
+ * @param {HTMLElement} row
+ * @returns {ReadingRule}
+ */
+function readRuleRow(row) {
+  const type = row.querySelector('.rule-type').value;
+  const speed = parseFloat(row.querySelector('.rule-speed').value);
+  const rule = {
+    id: row.dataset.id,
+    type,
+    pattern: type === 'domain'
+      ? row.querySelector('.rule-pattern').value.trim().toLowerCase()
+      : row.querySelector('.rule-language').value
+  };
+
+  const profileId = row.querySelector('.rule-profile').value;
+  const voice = row.querySelector('.rule-voice').value.trim();
+  if (profileId) rule.profileId = profileId;
+  if (voice) rule.voice = voice;
+  if (!isNaN(speed)) rule.speed = speed;
+  return rule;
+}
+
+/**
+ * Set up the rule editor (options page)
+ * @param {Object} elements - DOM elements
+ * @returns {Promise<void>}
+ */
+async function initializeRuleEditor(elements) {
+  const { readingRules } = await browser.storage.local.get('readingRules');
+  const { profiles } = await loadProfiles();
+
+  elements.ruleList.replaceChildren(...(readingRules || []).map((rule) => createRuleRow(rule, profiles)));
+
+  elements.addRuleButton.addEventListener('click', async () => {
+    const { profiles: currentProfiles } = await loadProfiles();
+    elements.ruleList.appendChild(createRuleRow({ id: createId(), type: 'domain', pattern: '' }, currentProfiles));
+  });
+
+  elements.saveRulesButton.addEventListener('click', async () => {
+    const rules = [...elements.ruleList.querySelectorAll('.rule-row')].map(readRuleRow);
+
+    const errors = [];
+    rules.forEach((rule, index) => {
+      if (!rule.pattern) errors.push(`Rule ${index + 1}: enter a site.`);
+      if (!rule.profileId && !rule.voice && !rule.speed) errors.push(`Rule ${index + 1}: choose a profile, voice or speed.`);
+      if (rule.speed !== undefined && (rule.speed < SPEED_LIMITS.min || rule.speed > SPEED_LIMITS.max)) {
+        errors.push(`Rule ${index + 1}: speed must be between ${SPEED_LIMITS.min} and ${SPEED_LIMITS.max}.`);
+      }
+    });
+    if (errors.length > 0) {
+      alert(errors.join('\n'));
+      return;
+    }
+
+    try {
+      await browser.storage.local.set({ readingRules: rules });
+      alert('Rules saved!');
+    } catch (error) {
+      alert('Failed to save rules. Please try again.');
+    }
+  });
+}
@@ -0,0 +1,215 @@
+/**
+ * Sentence segmentation
+ * Uses Intl.Segmenter when the browser has it and a punctuation-based
+ * fallback otherwise, then repairs breaks after abbreviations and evens out
+ * chunk lengths so each TTS request is neither a lone word nor a wall of text.
+ */
+
+// Lowercase, without the final period
+const ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'rev', 'gen', 'col', 'lt', 'capt', 'sgt',
+  'vs', 'e.g', 'i.e', 'cf', 'al', 'approx', 'fig', 'vol', 'ch', 'pp',
+  'inc', 'ltd', 'corp', 'dept', 'univ',
+  'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec',
+  // German, French, Spanish
+  'z.b', 'd.h', 'bzw', 'usw', 'ca', 'nr', 'hr', 'fr', 'mme', 'mlle', 'sra', 'sres'
+]);
+
+// Words after which a capital letter is a grade, option or label rather than an initial
+const LETTER_NAMERS = new Set([
+  'a', 'an', 'the', 'grade', 'plan', 'type', 'class', 'option', 'part', 'section', 'point', 'vitamin', 'letter'
+]);
+
+// Sentence end: terminal punctuation, closing quotes/brackets, then whitespace before
+// a character that isn't lowercase; CJK full stops need no whitespace
+const FALLBACK_BOUNDARY = /[.!?…]+["'”’»)\]]*\s+(?=[^\s\p{Ll}])|[。！？]+[」』"'”’)）]*\s*/gu;
+
+// Han, kana and Hangul syllables: one character carries about as much as a short word
+const CJK_CHARACTER = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu;
+const CJK_CHARACTER_WEIGHT = 3;
+
+// Intl.Segmenter doesn't break after the "…" character, only after "..."
+const ELLIPSIS_BOUNDARY = /(?<=…["'”’»)\]]*\s+)(?=\p{Lu})/u;
+
+// Preferred places to cut an overlong sentence, best first
+const CLAUSE_BREAKS = [/[;:；：]\s*/g, /[,，、]\s*|\s[–—-]\s/g, /\s+/g];
+
+/**
+ * Raw sentence segments of a paragraph, whitespace kept so they concatenate back
+ * @param {string} paragraph
+ * @param {string} [locale]
+ * @returns {string[]}
+ */
+function rawSegments(paragraph, locale) {
+  if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+    const segmenter = new Intl.Segmenter(locale || undefined, { granularity: 'sentence' });
+    return Array.from(segmenter.segment(paragraph), (part) => part.segment.split(ELLIPSIS_BOUNDARY)).flat();
+  }
+
+  const segments = [];
+  let start = 0;
+  let match;
+  FALLBACK_BOUNDARY.lastIndex = 0;
+  while ((match = FALLBACK_BOUNDARY.exec(paragraph)) !== null) {
+    const end = match.index + match[0].length;
+    if (end > start) {
+      segments.push(paragraph.slice(start, end));
+      start = end;
+    }
+    if (match[0].length === 0) FALLBACK_BOUNDARY.lastIndex++;
+  }
+  if (start < paragraph.length) segments.push(paragraph.slice(start));
+  return segments;
+}
+
+/**
+ * Whether a segment only ends with an abbreviation or an initial rather than
+ * the end of a sentence ("Dr.", "e.g.", "J.")
+ * @param {string} segment
+ * @param {string} next - Segment that follows
+ * @returns {boolean}
+ */
+function endsWithAbbreviation(segment, next) {
+  const trimmed = segment.trimEnd();
+  const match = trimmed.match(/(?:^|[\s("'“‘])([\p{L}][\p{L}.]*)\.$/u);
+  if (!match) return false;
+  const word = match[1];
+  if (ABBREVIATIONS.has(word.toLowerCase())) return true;
+  if (!/^\p{Lu}$/u.test(word)) return false;
+
+  // An initial is followed by a capitalised name or another initial
+  // ("J. R. R. Tolkien"); a letter named by an article or a label word ends
+  // the sentence ("the grade is an A.", "plan B.")
+  if (!/^\s*["'“‘(]?\p{Lu}/u.test(next)) return false;
+  if (/^\s*\p{Lu}\./u.test(next)) return true;
+  const previousWord = trimmed.slice(0, -2).trimEnd().split(/\s+/).pop().toLowerCase();
+  return !LETTER_NAMERS.has(previousWord);
+}
+
+/**
+ * Whether a break falls inside a number ("3." + "14", "1,000." + "5")
+ * @param {string} segment
+ * @param {string} next
+ * @returns {boolean}
+ */
+function splitsNumber(segment, next) {
+  return /\d[.,]$/.test(segment) && /^\d/.test(next);
+}
+
+/**
+ * Join segments that were cut after an abbreviation or inside a number
+ * @param {string[]} segments
+ * @returns {string[]}
+ */
+function repairFalseBreaks(segments) {
+  const repaired = [];
+  segments.forEach((segment) => {
+    const previous = repaired[repaired.length - 1];
+    if (previous !== undefined && (endsWithAbbreviation(previous, segment) || splitsNumber(previous, segment))) {
+      repaired[repaired.length - 1] = previous + segment;
+    } else {
+      repaired.push(segment);
+    }
+  });
+  return repaired;
+}
+
+/**
+ * Length of a segment for the minimum length check. CJK characters count
+ * several times, otherwise every Chinese or Japanese sentence would look short.
+ * @param {string} segment
+ * @returns {number}
+ */
+function weightedLength(segment) {
+  const text = segment.trim();
+  const cjkCount = (text.match(CJK_CHARACTER) || []).length;
+  return text.length + cjkCount * (CJK_CHARACTER_WEIGHT - 1);
+}
+
+/**
+ * Merge fragments shorter than minLength into a neighbour, as long as the result stays within maxLength
+ * @param {string[]} segments
+ * @param {number} minLength
+ * @param {number} maxLength
+ * @returns {string[]}
+ */
+function mergeShortSegments(segments, minLength, maxLength) {
+  const merged = [];
+  segments.forEach((segment) => {
+    const previous = merged[merged.length - 1];
+    if (previous !== undefined &&
+        (weightedLength(previous) < minLength || weightedLength(segment) < minLength) &&
+        (previous + segment).trim().length <= maxLength) {
+      merged[merged.length - 1] = previous + segment;
+    } else {
+      merged.push(segment);
+    }
+  });
+  return merged;
+}
+
+/**
+ * Cut a sentence longer than maxLength at clause punctuation, then at spaces
+ * @param {string} sentence
+ * @param {number} maxLength
+ * @returns {string[]}
+ */
+function splitLongSegment(sentence, maxLength) {
+  const parts = [];
+  let rest = sentence;
+
+  while (rest.trim().length > maxLength) {
+    let cut = -1;
+    for (const pattern of CLAUSE_BREAKS) {
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(rest)) !== null) {
+        const end = match.index + match[0].length;
+        if (end > maxLength) break;
+        // Skip cuts that would leave a tiny first part
+        if (end >= maxLength / 3) cut = end;
+      }
+      if (cut !== -1) break;
+    }
+    if (cut === -1) cut = maxLength;
+
+    parts.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+  }
+
+  parts.push(rest);
+  return parts;
+}
+
+/**
+ * Split text into sentences for processing
+ * Line breaks end a sentence unless they split a hyphenated word; short fragments are merged and long
+ * sentences split so chunks stay between CONFIG.SENTENCE_MIN_LENGTH and
+ * CONFIG.SENTENCE_MAX_LENGTH characters where possible.
+ * @param {string} text - Text to split
+ * @param {string} [locale] - Language of the text, e.g. "en" or "ja"
+ * @returns {string[]} Array of sentences
+ */
+function splitTextIntoSentences(text, locale) {
+  const sentences = [];
+
+  // A word hyphenated across lines ("exam-\nple") stays in one sentence
+  text.split(/(?<!\p{L}-[ \t]*)\n+|\n+(?![ \t]*\p{Ll})/u).forEach((paragraph) => {
+    if (!paragraph.trim()) return;
+
+    const segments = mergeShortSegments(
+      repairFalseBreaks(rawSegments(paragraph, locale)),
+      CONFIG.SENTENCE_MIN_LENGTH,
+      CONFIG.SENTENCE_MAX_LENGTH
+    );
+
+    segments.forEach((segment) => {
+      splitLongSegment(segment, CONFIG.SENTENCE_MAX_LENGTH).forEach((part) => {
+        const sentence = part.trim();
+        if (sentence) sentences.push(sentence);
+      });
+    });
+  });
+
+  return sentences;
+}
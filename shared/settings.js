@@ -7,23 +7,35 @@
  * @typedef {Object} TTSSettings
  * @property {string} apiUrl - The TTS API endpoint URL
  * @property {string} apiKey - API authentication key
+ * @property {string[]} fallbackUrls - API URLs tried in order when the main one fails
  * @property {number} speechSpeed - Speech playback speed (0.1-10.0)
  * @property {string} voice - Voice identifier
  * @property {string} model - TTS model name
  * @property {boolean} streamingMode - Whether to use PCM streaming
  * @property {boolean} downloadMode - Whether to download audio files
+ * @property {string} downloadFormat - Key of DOWNLOAD_FORMATS used for downloads
+ * @property {string} streamFormat - Key of STREAM_FORMATS used in streaming mode
+ * @property {number} pcmSampleRate - Sample rate of raw PCM streams
+ * @property {number} pcmChannels - Channels of raw PCM streams
  * @property {number} outputVolume - Audio volume (0-1)
+ * @property {number} prefetchCount - Sentences fetched in parallel in sentence mode
  */
 
 const DEFAULT_SETTINGS = {
   apiUrl: 'http://host.docker.internal:8880/v1/',
   apiKey: 'not-needed',
+  fallbackUrls: [],
   voice: 'af_bella+bf_emma+af_nicole',
   speechSpeed: 1.0,
   model: 'kokoro',
   streamingMode: false,
   downloadMode: false,
-  outputVolume: 1.0
+  downloadFormat: 'mp3',
+  streamFormat: 'pcm',
+  pcmSampleRate: 24000,
+  pcmChannels: 1,
+  outputVolume: 1.0,
+  prefetchCount: 3
 };
 
 const SPEED_LIMITS = {
@@ -31,11 +43,37 @@ const SPEED_LIMITS = {
   max: 10.0
 };
 
+const SAMPLE_RATE_LIMITS = {
+  min: 8000,
+  max: 96000
+};
+
 const VOLUME_LIMITS = {
   min: 0,
   max: 1
 };
 
+const PREFETCH_LIMITS = {
+  min: 1,
+  max: 8
+};
+
+const CACHE_DEFAULTS = {
+  enabled: true,
+  sizeLimit: CONFIG.DEFAULT_CACHE_SIZE_LIMIT // MB
+};
+
+const CHAPTER_SIZE_LIMITS = {
+  min: 1,
+  max: 1000
+};
+
+const HISTORY_LIMITS = {
+  min: 1,
+  max: 500,
+  default: CONFIG.DEFAULT_HISTORY_LIMIT
+};
+
 /**
  * Load settings from browser storage
  * @returns {Promise<TTSSettings>}
@@ -43,19 +81,26 @@ const VOLUME_LIMITS = {
 async function loadSettings() {
   try {
     const data = await browser.storage.local.get([
-      'apiUrl', 'apiKey', 'speechSpeed', 'voice', 
-      'model', 'streamingMode', 'downloadMode', 'outputVolume'
+      'apiUrl', 'apiKey', 'fallbackUrls', 'speechSpeed', 'voice', 
+      'model', 'streamingMode', 'downloadMode', 'downloadFormat', 'outputVolume', 'prefetchCount',
+      'streamFormat', 'pcmSampleRate', 'pcmChannels'
     ]);
     
     return {
       apiUrl: data.apiUrl || DEFAULT_SETTINGS.apiUrl,
       apiKey: data.apiKey || DEFAULT_SETTINGS.apiKey,
+      fallbackUrls: data.fallbackUrls || DEFAULT_SETTINGS.fallbackUrls,
       voice: data.voice || DEFAULT_SETTINGS.voice,
       speechSpeed: data.speechSpeed || DEFAULT_SETTINGS.speechSpeed,
       model: data.model || DEFAULT_SETTINGS.model,
       streamingMode: data.streamingMode || DEFAULT_SETTINGS.streamingMode,
       downloadMode: data.downloadMode || DEFAULT_SETTINGS.downloadMode,
-      outputVolume: data.outputVolume ?? DEFAULT_SETTINGS.outputVolume
+      downloadFormat: data.downloadFormat || DEFAULT_SETTINGS.downloadFormat,
+      streamFormat: data.streamFormat || DEFAULT_SETTINGS.streamFormat,
+      pcmSampleRate: data.pcmSampleRate || DEFAULT_SETTINGS.pcmSampleRate,
+      pcmChannels: data.pcmChannels || DEFAULT_SETTINGS.pcmChannels,
+      outputVolume: data.outputVolume ?? DEFAULT_SETTINGS.outputVolume,
+      prefetchCount: data.prefetchCount || DEFAULT_SETTINGS.prefetchCount
     };
   } catch (error) {
     console.error('Error loading settings:', error);
@@ -89,6 +134,11 @@ function validateSettings(settings) {
     errors.push('API URL cannot be empty.');
   }
   
+  const invalidFallbacks = settings.fallbackUrls.filter((url) => !/^https?:\/\/\S+$/.test(url));
+  if (invalidFallbacks.length > 0) {
+    errors.push(`Invalid fallback URL: ${invalidFallbacks.join(', ')}`);
+  }
+  
   if (isNaN(settings.speechSpeed) || 
       settings.speechSpeed < SPEED_LIMITS.min || 
       settings.speechSpeed > SPEED_LIMITS.max) {
@@ -101,6 +151,30 @@ function validateSettings(settings) {
     errors.push(`Volume must be between ${VOLUME_LIMITS.min} and ${VOLUME_LIMITS.max}.`);
   }
   
+  if (!Number.isInteger(settings.prefetchCount) || 
+      settings.prefetchCount < PREFETCH_LIMITS.min || 
+      settings.prefetchCount > PREFETCH_LIMITS.max) {
+    errors.push(`Prefetch count must be a whole number between ${PREFETCH_LIMITS.min} and ${PREFETCH_LIMITS.max}.`);
+  }
+  
+  if (!DOWNLOAD_FORMATS[settings.downloadFormat]) {
+    errors.push(`Unknown download format: ${settings.downloadFormat}`);
+  }
+  
+  if (!STREAM_FORMATS[settings.streamFormat]) {
+    errors.push(`Unknown stream format: ${settings.streamFormat}`);
+  }
+  
+  if (!Number.isInteger(settings.pcmSampleRate) || 
+      settings.pcmSampleRate < SAMPLE_RATE_LIMITS.min || 
+      settings.pcmSampleRate > SAMPLE_RATE_LIMITS.max) {
+    errors.push(`PCM sample rate must be a whole number between ${SAMPLE_RATE_LIMITS.min} and ${SAMPLE_RATE_LIMITS.max}.`);
+  }
+  
+  if (settings.pcmChannels !== 1 && settings.pcmChannels !== 2) {
+    errors.push('PCM channels must be 1 or 2.');
+  }
+  
   return {
     valid: errors.length === 0,
     errors
@@ -116,12 +190,22 @@ async function initializeUI(elements) {
   
   elements.apiUrlInput.value = settings.apiUrl;
   elements.apiKeyInput.value = settings.apiKey;
+  elements.fallbackUrlsInput.value = settings.fallbackUrls.join('\n');
   elements.voiceInput.value = settings.voice;
   elements.speedInput.value = settings.speechSpeed;
   elements.modelInput.value = settings.model;
   elements.streamingModeInput.checked = settings.streamingMode;
   elements.downloadModeInput.checked = settings.downloadMode;
+  elements.downloadFormatSelect.value = settings.downloadFormat;
+  elements.streamFormatSelect.value = settings.streamFormat;
+  elements.pcmSampleRateInput.value = settings.pcmSampleRate;
+  elements.pcmChannelsSelect.value = String(settings.pcmChannels);
+  elements.pcmFormatFields.hidden = settings.streamFormat !== 'pcm';
   elements.volumeInput.value = settings.outputVolume;
+  elements.prefetchInput.value = settings.prefetchCount;
+
+  // Voice/model lists depend on the server in the form
+  refreshVoicePicker(elements);
 }
 
 /**
@@ -147,21 +231,49 @@ function setupModeExclusivity(elements) {
 }
 
 /**
- * Handle save button click
+ * Show the raw PCM fields only for the raw PCM stream format
  * @param {Object} elements - DOM elements
- * @returns {Promise<void>}
  */
-async function handleSave(elements) {
-  const settings = {
+function setupStreamFormatFields(elements) {
+  elements.streamFormatSelect.addEventListener('change', () => {
+    elements.pcmFormatFields.hidden = elements.streamFormatSelect.value !== 'pcm';
+  });
+}
+
+/**
+ * Read settings from the form
+ * @param {Object} elements - DOM elements
+ * @returns {TTSSettings}
+ */
+function readSettingsFromUI(elements) {
+  return {
     apiUrl: elements.apiUrlInput.value.trim(),
     apiKey: elements.apiKeyInput.value.trim(),
+    fallbackUrls: elements.fallbackUrlsInput.value
+      .split('\n')
+      .map((url) => url.trim())
+      .filter(Boolean),
     speechSpeed: parseFloat(elements.speedInput.value),
     voice: elements.voiceInput.value.trim(),
     model: elements.modelInput.value.trim(),
     streamingMode: elements.streamingModeInput.checked,
     downloadMode: elements.downloadModeInput.checked,
-    outputVolume: parseFloat(elements.volumeInput.value)
+    downloadFormat: elements.downloadFormatSelect.value,
+    streamFormat: elements.streamFormatSelect.value,
+    pcmSampleRate: parseInt(elements.pcmSampleRateInput.value, 10),
+    pcmChannels: parseInt(elements.pcmChannelsSelect.value, 10),
+    outputVolume: parseFloat(elements.volumeInput.value),
+    prefetchCount: parseInt(elements.prefetchInput.value, 10)
   };
+}
+
+/**
+ * Handle save button click
+ * @param {Object} elements - DOM elements
+ * @returns {Promise<void>}
+ */
+async function handleSave(elements) {
+  const settings = readSettingsFromUI(elements);
 
   const validation = validateSettings(settings);
   
@@ -172,15 +284,221 @@ async function handleSave(elements) {
 
   try {
     await saveSettings(settings);
+    await updateActiveProfile(settings);
     alert('Settings saved!');
   } catch (error) {
     alert(error.message || 'Failed to save settings.');
   }
 }
 
+/**
+ * Initialize the server profile selector and its buttons
+ * @param {Object} elements - DOM elements
+ * @returns {Promise<void>}
+ */
+async function initializeProfiles(elements) {
+  async function renderProfiles() {
+    const { profiles, activeProfileId } = await ensureProfiles(await loadSettings());
+    elements.profileSelect.replaceChildren(...profiles.map((profile) =>
+      new Option(profile.name, profile.id, false, profile.id === activeProfileId)
+    ));
+    elements.deleteProfileButton.disabled = profiles.length <= 1;
+  }
+
+  elements.profileSelect.addEventListener('change', async () => {
+    try {
+      await activateProfile(elements.profileSelect.value);
+      await initializeUI(elements);
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  elements.newProfileButton.addEventListener('click', async () => {
+    const settings = readSettingsFromUI(elements);
+    const validation = validateSettings(settings);
+    if (!validation.valid) {
+      alert(validation.errors.join('\n'));
+      return;
+    }
+
+    try {
+      await createProfile(elements.profileNameInput.value, settings);
+      elements.profileNameInput.value = '';
+      await renderProfiles();
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  elements.deleteProfileButton.addEventListener('click', async () => {
+    try {
+      await deleteProfile(elements.profileSelect.value);
+      await renderProfiles();
+      await initializeUI(elements);
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  // Profiles can also be switched from the context menu
+  browser.storage.onChanged.addListener((changes) => {
+    if (changes.profiles || changes.activeProfileId) renderProfiles();
+    if (changes.activeProfileId) initializeUI(elements);
+  });
+
+  await renderProfiles();
+}
+
 /**
  * Handle stop playback button click
  */
 function handleStopPlayback() {
   browser.runtime.sendMessage({ action: 'stopPlayback' });
 }
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Initialize the audio cache section (options page)
+ * Changes are saved immediately, the cache itself lives in the background page.
+ * @param {Object} elements - DOM elements
+ * @returns {Promise<void>}
+ */
+async function initializeCacheSettings(elements) {
+  const data = await browser.storage.local.get(['cacheEnabled', 'cacheSizeLimit']);
+  elements.cacheEnabledInput.checked = data.cacheEnabled ?? CACHE_DEFAULTS.enabled;
+  elements.cacheSizeInput.value = data.cacheSizeLimit || CACHE_DEFAULTS.sizeLimit;
+
+  async function updateCacheStats() {
+    try {
+      const stats = await browser.runtime.sendMessage({ action: 'getCacheStats' });
+      elements.cacheStats.textContent = `${stats.entries} cached clips, ${formatBytes(stats.bytes)}`;
+    } catch (error) {
+      elements.cacheStats.textContent = 'Cache usage unavailable.';
+    }
+  }
+
+  elements.cacheEnabledInput.addEventListener('change', () => {
+    browser.storage.local.set({ cacheEnabled: elements.cacheEnabledInput.checked });
+  });
+
+  elements.cacheSizeInput.addEventListener('change', async () => {
+    const sizeLimit = parseInt(elements.cacheSizeInput.value, 10);
+    if (isNaN(sizeLimit) || sizeLimit < 1) {
+      alert('Cache size must be at least 1 MB.');
+      elements.cacheSizeInput.value = (await browser.storage.local.get('cacheSizeLimit')).cacheSizeLimit || CACHE_DEFAULTS.sizeLimit;
+      return;
+    }
+    await browser.storage.local.set({ cacheSizeLimit: sizeLimit });
+    await updateCacheStats();
+  });
+
+  elements.clearCacheButton.addEventListener('click', async () => {
+    await browser.runtime.sendMessage({ action: 'clearAudioCache' });
+    await updateCacheStats();
+  });
+
+  await updateCacheStats();
+}
+
+/**
+ * Set up the playback speed slider (popup). The rate is applied to the audio
+ * playing now, while the speech speed setting is sent to the server.
+ * @param {Object} elements - DOM elements
+ * @returns {Promise<void>}
+ */
+async function initializePlaybackRate(elements) {
+  const showRate = () => {
+    elements.playbackRateValue.textContent = `${parseFloat(elements.playbackRateInput.value).toFixed(2)}×`;
+  };
+
+  const { playbackRate } = await browser.storage.local.get('playbackRate');
+  elements.playbackRateInput.value = playbackRate || CONFIG.DEFAULT_PLAYBACK_RATE;
+  showRate();
+
+  elements.playbackRateInput.addEventListener('input', () => {
+    showRate();
+    browser.storage.local.set({ playbackRate: parseFloat(elements.playbackRateInput.value) });
+  });
+}
+
+/**
+ * Set up the floating player option (options page)
+ * @param {Object} elements - DOM elements
+ * @returns {Promise<void>}
+ */
+async function initializePlayerSettings(elements) {
+  const { playerOverlay } = await browser.storage.local.get('playerOverlay');
+  elements.playerOverlayInput.checked = playerOverlay ?? CONFIG.DEFAULT_PLAYER_OVERLAY;
+
+  elements.playerOverlayInput.addEventListener('change', () => {
+    browser.storage.local.set({ playerOverlay: elements.playerOverlayInput.checked });
+  });
+}
+
+/**
+ * Set up the reading history settings (options page)
+ * @param {Object} elements - DOM elements
+ * @returns {Promise<void>}
+ */
+async function initializeHistorySettings(elements) {
+  const { historyLimit } = await browser.storage.local.get('historyLimit');
+  elements.historyLimitInput.value = historyLimit || HISTORY_LIMITS.default;
+
+  elements.historyLimitInput.addEventListener('change', async () => {
+    const limit = parseInt(elements.historyLimitInput.value, 10);
+    if (!Number.isInteger(limit) || limit < HISTORY_LIMITS.min || limit > HISTORY_LIMITS.max) {
+      alert(`History size must be between ${HISTORY_LIMITS.min} and ${HISTORY_LIMITS.max} entries.`);
+      elements.historyLimitInput.value = (await browser.storage.local.get('historyLimit')).historyLimit || HISTORY_LIMITS.default;
+      return;
+    }
+    await browser.storage.local.set({ historyLimit: limit });
+    // Drop entries beyond the new limit right away, in the background's
+    // history writes so a position saved meanwhile isn't lost
+    await browser.runtime.sendMessage({ action: 'trimHistory', limit });
+  });
+
+  elements.clearHistoryButton.addEventListener('click', async () => {
+    await clearReadingHistory();
+    alert('History cleared.');
+  });
+}
+
+/**
+ * Set up the export settings (options page)
+ * @param {Object} elements - DOM elements
+ * @returns {Promise<void>}
+ */
+async function initializeExportSettings(elements) {
+  const data = await browser.storage.local.get(['exportChapterMode', 'exportChapterSize', 'exportSubtitles']);
+  elements.chapterModeSelect.value = data.exportChapterMode || CONFIG.DEFAULT_EXPORT_CHAPTER_MODE;
+  elements.chapterSizeInput.value = data.exportChapterSize || CONFIG.DEFAULT_EXPORT_CHAPTER_SIZE;
+  elements.exportSubtitlesSelect.value = data.exportSubtitles || CONFIG.DEFAULT_EXPORT_SUBTITLES;
+
+  elements.chapterModeSelect.addEventListener('change', () => {
+    browser.storage.local.set({ exportChapterMode: elements.chapterModeSelect.value });
+  });
+
+  elements.exportSubtitlesSelect.addEventListener('change', () => {
+    browser.storage.local.set({ exportSubtitles: elements.exportSubtitlesSelect.value });
+  });
+
+  elements.chapterSizeInput.addEventListener('change', async () => {
+    const size = parseInt(elements.chapterSizeInput.value, 10);
+    if (!Number.isInteger(size) || size < CHAPTER_SIZE_LIMITS.min || size > CHAPTER_SIZE_LIMITS.max) {
+      alert(`Sentences per chapter must be between ${CHAPTER_SIZE_LIMITS.min} and ${CHAPTER_SIZE_LIMITS.max}.`);
+      elements.chapterSizeInput.value = (await browser.storage.local.get('exportChapterSize')).exportChapterSize || CONFIG.DEFAULT_EXPORT_CHAPTER_SIZE;
+      return;
+    }
+    await browser.storage.local.set({ exportChapterSize: size });
+  });
+}
@@ -0,0 +1,117 @@
+/**
+ * Keyboard shortcut management for the options page
+ * Shortcuts are the manifest "commands"; changes go through browser.commands
+ */
+
+const SHORTCUT_KEY_NAMES = {
+  ' ': 'Space',
+  ',': 'Comma',
+  '.': 'Period',
+  ArrowUp: 'Up',
+  ArrowDown: 'Down',
+  ArrowLeft: 'Left',
+  ArrowRight: 'Right',
+  Home: 'Home',
+  End: 'End',
+  PageUp: 'PageUp',
+  PageDown: 'PageDown',
+  Insert: 'Insert',
+  Delete: 'Delete',
+  MediaPlayPause: 'MediaPlayPause',
+  MediaStop: 'MediaStop',
+  MediaTrackNext: 'MediaNextTrack',
+  MediaTrackPrevious: 'MediaPrevTrack'
+};
+
+/**
+ * Convert a keydown event to the commands API shortcut format
+ * @param {KeyboardEvent} event
+ * @returns {string|null} Shortcut such as "Alt+Shift+R", or null if incomplete
+ */
+function shortcutFromKeyEvent(event) {
+  let key = SHORTCUT_KEY_NAMES[event.key];
+  if (!key && /^[a-z0-9]$/i.test(event.key)) key = event.key.toUpperCase();
+  if (!key && /^F([1-9]|1[0-2])$/.test(event.key)) key = event.key;
+  if (!key) return null;
+
+  // Media keys are allowed on their own
+  if (key.startsWith('Media')) return key;
+
+  const modifiers = [];
+  if (event.ctrlKey) modifiers.push('Ctrl');
+  if (event.altKey) modifiers.push('Alt');
+  if (event.metaKey) modifiers.push('Command');
+  if (event.shiftKey) modifiers.push('Shift');
+
+  if (modifiers.length === 0 || (modifiers.length === 1 && modifiers[0] === 'Shift')) {
+    return null;
+  }
+  return [...modifiers, key].join('+');
+}
+
+/**
+ * Create the editable row for one command
+ * @param {browser.commands.Command} command
+ * @returns {HTMLElement}
+ */
+function createShortcutRow(command) {
+  const row = document.createElement('div');
+  row.className = 'shortcut-row';
+
+  const label = document.createElement('span');
+  label.textContent = command.description || command.name;
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.readOnly = true;
+  input.value = command.shortcut || '';
+  input.placeholder = 'Press a shortcut';
+
+  const resetButton = document.createElement('button');
+  resetButton.textContent = 'Reset';
+
+  input.addEventListener('keydown', async (event) => {
+    if (event.key === 'Tab') return;
+    event.preventDefault();
+
+    // Backspace/Delete without modifiers clears the shortcut
+    const clearing = (event.key === 'Backspace' || event.key === 'Delete') &&
+      !event.ctrlKey && !event.altKey && !event.metaKey;
+    const shortcut = clearing ? '' : shortcutFromKeyEvent(event);
+    if (shortcut === null) return;
+
+    try {
+      await browser.commands.update({ name: command.name, shortcut });
+      input.value = shortcut;
+    } catch (error) {
+      alert(`Invalid shortcut: ${error.message}`);
+    }
+  });
+
+  resetButton.addEventListener('click', async () => {
+    await browser.commands.reset(command.name);
+    const commands = await browser.commands.getAll();
+    const updated = commands.find((c) => c.name === command.name);
+    input.value = (updated && updated.shortcut) || '';
+  });
+
+  row.append(label, input, resetButton);
+  return row;
+}
+
+/**
+ * Render the shortcut editor
+ * @param {HTMLElement} container - Element that receives one row per command
+ * @returns {Promise<void>}
+ */
+async function initializeShortcuts(container) {
+  if (!container) return;
+
+  if (!browser.commands || !browser.commands.update) {
+    container.textContent = 'Keyboard shortcuts are not supported on this platform.';
+    return;
+  }
+
+  const commands = await browser.commands.getAll();
+  container.replaceChildren(...commands.map(createShortcutRow));
+}
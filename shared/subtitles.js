@@ -0,0 +1,122 @@
+/**
+ * Subtitles for exports (SRT and WebVTT)
+ * Cues come either from word timestamps returned by Kokoro-FastAPI's
+ * captioned speech endpoint, or from the measured length of each exported
+ * chunk, split between its sentences by their length.
+ */
+
+// Two lines of 42 characters, the usual subtitle limit
+const CUE_MAX_LENGTH = 84;
+
+const SUBTITLE_FORMATS = {
+  srt: { extension: 'srt', mimeType: 'application/x-subrip' },
+  vtt: { extension: 'vtt', mimeType: 'text/vtt' }
+};
+
+/**
+ * @typedef {Object} SubtitleCue
+ * @property {number} start - Seconds
+ * @property {number} end - Seconds
+ * @property {string} text
+ */
+
+/**
+ * @typedef {Object} CaptionWord
+ * @property {string} word
+ * @property {number} start_time - Seconds from the start of the request
+ * @property {number} end_time
+ */
+
+function cueText(text) {
+  return text.replace(/\s+/g, ' ').replace(/ ([,.;:!?…)\]])/g, '$1').trim();
+}
+
+/**
+ * Cues from chunk lengths: each sentence of a chunk gets a share of the
+ * chunk's duration proportional to its length (exact for one-sentence chunks)
+ * @param {string[]} sentences
+ * @param {{start: number, end: number}[]} chunks - From planExportChunks
+ * @param {number[]} durations - Seconds, one per chunk
+ * @returns {SubtitleCue[]}
+ */
+function cuesFromChunks(sentences, chunks, durations) {
+  const cues = [];
+  let time = 0;
+  chunks.forEach((chunk, index) => {
+    const chunkSentences = sentences.slice(chunk.start, chunk.end);
+    const totalLength = chunkSentences.reduce((sum, sentence) => sum + sentence.length, 0);
+    let start = time;
+    chunkSentences.forEach((sentence) => {
+      const end = start + (durations[index] * sentence.length) / totalLength;
+      cues.push({ start, end, text: cueText(sentence) });
+      start = end;
+    });
+    time += durations[index];
+  });
+  return cues;
+}
+
+/**
+ * Cues from word timestamps, ending at sentence punctuation or when a cue
+ * gets too long to read
+ * @param {CaptionWord[][]} chunkWords - Words of each chunk
+ * @param {number[]} offsets - Start of each chunk in the file, in seconds
+ * @returns {SubtitleCue[]}
+ */
+function cuesFromWords(chunkWords, offsets) {
+  const cues = [];
+  chunkWords.forEach((words, index) => {
+    let cue = null;
+    words.forEach((word) => {
+      const text = word.word.trim();
+      if (!text) return;
+
+      const start = offsets[index] + word.start_time;
+      const end = offsets[index] + word.end_time;
+      if (cue && cue.text.length + text.length + 1 > CUE_MAX_LENGTH && /\w/.test(text)) {
+        cues.push(cue);
+        cue = null;
+      }
+      if (!cue) cue = { start, end, text: '' };
+      cue.text = cueText(`${cue.text} ${text}`);
+      cue.end = end;
+
+      if (/[.!?…]["'”’)\]]*$/.test(text)) {
+        cues.push(cue);
+        cue = null;
+      }
+    });
+    if (cue) cues.push(cue);
+  });
+  return cues;
+}
+
+function formatCueTime(seconds, separator) {
+  const milliseconds = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(milliseconds / 3600000);
+  const minutes = Math.floor(milliseconds / 60000) % 60;
+  const secs = Math.floor(milliseconds / 1000) % 60;
+  return String(hours).padStart(2, '0') + ':' +
+    String(minutes).padStart(2, '0') + ':' +
+    String(secs).padStart(2, '0') + separator +
+    String(milliseconds % 1000).padStart(3, '0');
+}
+
+/**
+ * Write cues as an SRT or WebVTT file
+ * @param {SubtitleCue[]} cues
+ * @param {'srt'|'vtt'} format
+ * @returns {string}
+ */
+function formatSubtitles(cues, format) {
+  if (format === 'vtt') {
+    const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return 'WEBVTT\n\n' + cues.map((cue) =>
+      `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}\n${escape(cue.text)}\n`
+    ).join('\n');
+  }
+
+  return cues.map((cue, index) =>
+    `${index + 1}\n${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}\n${cue.text}\n`
+  ).join('\n');
+}
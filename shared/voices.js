@@ -0,0 +1,414 @@
+/**
+ * Voice and model lists from the TTS server, and voice blends
+ * Kokoro-FastAPI lists voices at /audio/voices and models at /models.
+ * The voice text input stays the source of truth, so blends and servers
+ * without a voice listing keep working as free text.
+ * Blends use Kokoro's syntax, "af_bella(2)+af_sky(1)", and can be saved as
+ * named presets that the voice setting points to with "preset:<name>".
+ */
+
+// Kokoro voice ids start with a language letter and a gender letter (af_bella)
+const VOICE_LANGUAGES = {
+  a: 'American English',
+  b: 'British English',
+  e: 'Spanish',
+  f: 'French',
+  h: 'Hindi',
+  i: 'Italian',
+  j: 'Japanese',
+  p: 'Brazilian Portuguese',
+  z: 'Mandarin Chinese'
+};
+
+const VOICE_GENDERS = {
+  f: 'Female',
+  m: 'Male'
+};
+
+const BLEND_PREVIEW_TEXT = 'This is a short preview of the selected voice blend.';
+
+let voicePickerState = null;
+
+/**
+ * Describe a voice from its identifier
+ * @param {string} voiceId - e.g. af_bella
+ * @returns {{language: string, gender: string, name: string}}
+ */
+function describeVoice(voiceId) {
+  const match = /^([a-z])([fm])_(.+)$/.exec(voiceId);
+  if (!match || !VOICE_LANGUAGES[match[1]]) {
+    return { language: 'Other', gender: '', name: voiceId };
+  }
+  return {
+    language: VOICE_LANGUAGES[match[1]],
+    gender: VOICE_GENDERS[match[2]],
+    name: match[3]
+  };
+}
+
+/**
+ * Group voices by language and gender, keeping server order inside groups
+ * @param {string[]} voiceIds
+ * @returns {Map<string, string[]>} Group label to voice ids
+ */
+function groupVoices(voiceIds) {
+  const groups = new Map();
+  voiceIds.forEach((voiceId) => {
+    const { language, gender } = describeVoice(voiceId);
+    const label = gender ? `${language} · ${gender}` : language;
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(voiceId);
+  });
+  return groups;
+}
+
+/**
+ * GET a JSON listing from the server, trying fallback URLs like speech requests
+ * @param {{apiUrl: string, apiKey: string, fallbackUrls: string[]}} server
+ * @param {string} path
+ * @returns {Promise<any>}
+ */
+async function fetchServerListing(server, path) {
+  const response = await fetchWithFailover([server.apiUrl, ...server.fallbackUrls], path, {
+    headers: { Authorization: `Bearer ${server.apiKey}` }
+  });
+  return response.json();
+}
+
+/**
+ * Fetch the voices offered by the server
+ * @param {{apiUrl: string, apiKey: string, fallbackUrls: string[]}} server
+ * @returns {Promise<string[]>}
+ */
+async function fetchVoiceList(server) {
+  const data = await fetchServerListing(server, 'audio/voices');
+  const voices = Array.isArray(data) ? data : data.voices || [];
+  return voices
+    .map((voice) => (typeof voice === 'string' ? voice : voice.id || voice.name))
+    .filter(Boolean);
+}
+
+/**
+ * Fetch the models offered by the server (OpenAI format)
+ * @param {{apiUrl: string, apiKey: string, fallbackUrls: string[]}} server
+ * @returns {Promise<string[]>}
+ */
+async function fetchModelList(server) {
+  const data = await fetchServerListing(server, 'models');
+  return (data.data || []).map((entry) => entry.id).filter(Boolean);
+}
+
+/**
+ * Render the grouped voice options matching the search box
+ */
+function renderVoiceOptions() {
+  const { elements, voices } = voicePickerState;
+  const query = elements.voiceSearchInput.value.trim().toLowerCase();
+
+  const matching = voices.filter((voiceId) => {
+    if (!query) return true;
+    const { language, gender } = describeVoice(voiceId);
+    return `${voiceId} ${language} ${gender}`.toLowerCase().includes(query);
+  });
+
+  const matchingPresets = Object.keys(voicePickerState.presets)
+    .filter((name) => !query || name.toLowerCase().includes(query));
+
+  const placeholder = new Option(
+    matching.length + matchingPresets.length > 0 ? 'Choose a voice…' : 'No matching voices',
+    ''
+  );
+  const groups = [...groupVoices(matching)].map(([label, voiceIds]) => {
+    const group = document.createElement('optgroup');
+    group.label = label;
+    voiceIds.forEach((voiceId) => {
+      group.appendChild(new Option(`${describeVoice(voiceId).name} (${voiceId})`, voiceId));
+    });
+    return group;
+  });
+
+  if (matchingPresets.length > 0) {
+    const presetGroup = document.createElement('optgroup');
+    presetGroup.label = 'Saved Blends';
+    matchingPresets.forEach((name) => {
+      presetGroup.appendChild(new Option(name, CONFIG.VOICE_PRESET_PREFIX + name));
+    });
+    groups.unshift(presetGroup);
+  }
+
+  elements.voiceSelect.replaceChildren(placeholder, ...groups);
+  syncVoiceSelect();
+}
+
+/**
+ * Select the option matching the voice text input, if any
+ */
+function syncVoiceSelect() {
+  const { elements } = voicePickerState;
+  const voiceValue = elements.voiceInput.value.trim();
+  const hasOption = [...elements.voiceSelect.options].some((option) => option.value === voiceValue);
+  elements.voiceSelect.value = hasOption ? voiceValue : '';
+}
+
+/**
+ * Reload voice and model lists for the server currently in the form
+ * @param {Object} elements - DOM elements
+ * @returns {Promise<void>}
+ */
+async function refreshVoicePicker(elements) {
+  if (!voicePickerState || voicePickerState.elements !== elements) return;
+
+  const settings = readSettingsFromUI(elements);
+  const server = {
+    apiUrl: settings.apiUrl,
+    apiKey: settings.apiKey,
+    fallbackUrls: settings.fallbackUrls
+  };
+
+  const [voices, models, presets] = await Promise.all([
+    fetchVoiceList(server).catch(() => []),
+    fetchModelList(server).catch(() => []),
+    loadVoicePresets()
+  ]);
+
+  voicePickerState.voices = voices;
+  voicePickerState.presets = presets;
+  elements.voicePicker.hidden = voices.length === 0 && Object.keys(presets).length === 0;
+  elements.voiceListHint.textContent = voices.length === 0
+    ? 'Voice list unavailable, enter the voice name.'
+    : 'Or type a voice name or blend:';
+  renderVoiceOptions();
+
+  elements.modelOptions.replaceChildren(...models.map((modelId) => new Option(modelId, modelId)));
+  if (elements.voiceOptions) {
+    elements.voiceOptions.replaceChildren(...voices.map((voiceId) => new Option(voiceId, voiceId)));
+  }
+}
+
+/**
+ * Set up the searchable voice dropdown and model suggestions
+ * @param {Object} elements - DOM elements
+ * @returns {Promise<void>}
+ */
+async function initializeVoicePicker(elements) {
+  voicePickerState = { elements, voices: [], presets: {} };
+
+  elements.voiceSearchInput.addEventListener('input', renderVoiceOptions);
+  elements.voiceSelect.addEventListener('change', () => {
+    if (elements.voiceSelect.value) {
+      elements.voiceInput.value = elements.voiceSelect.value;
+    }
+  });
+  elements.voiceInput.addEventListener('input', syncVoiceSelect);
+  elements.apiUrlInput.addEventListener('change', () => refreshVoicePicker(elements));
+  elements.apiKeyInput.addEventListener('change', () => refreshVoicePicker(elements));
+  browser.storage.onChanged.addListener((changes) => {
+    if (changes.voicePresets) refreshVoicePicker(elements);
+  });
+
+  await refreshVoicePicker(elements);
+}
+
+/**
+ * Parse a voice string into weighted parts
+ * @param {string} voiceString - e.g. "af_bella(2)+af_sky"
+ * @returns {Array<{voice: string, weight: number}>}
+ */
+function parseVoiceBlend(voiceString) {
+  return voiceString
+    .split('+')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const match = /^(.+?)\(([\d.]+)\)$/.exec(part);
+      return match
+        ? { voice: match[1].trim(), weight: parseFloat(match[2]) }
+        : { voice: part, weight: 1 };
+    });
+}
+
+/**
+ * Format weighted parts as a voice string; weights are written only when they differ
+ * @param {Array<{voice: string, weight: number}>} parts
+ * @returns {string}
+ */
+function formatVoiceBlend(parts) {
+  const valid = parts.filter((part) => part.voice && part.weight > 0);
+  const uniformWeights = valid.every((part) => part.weight === valid[0].weight);
+  return valid
+    .map((part) => (uniformWeights ? part.voice : `${part.voice}(${part.weight})`))
+    .join('+');
+}
+
+/**
+ * @returns {Promise<Object<string, string>>} Blend presets by name
+ */
+async function loadVoicePresets() {
+  const { voicePresets } = await browser.storage.local.get('voicePresets');
+  return voicePresets || {};
+}
+
+/**
+ * Save a blend preset under a name, replacing any preset with that name
+ * @param {string} name
+ * @param {string} voiceString
+ * @returns {Promise<void>}
+ */
+async function saveVoicePreset(name, voiceString) {
+  const trimmedName = name.trim();
+  if (!trimmedName) {
+    throw new Error('Preset name cannot be empty.');
+  }
+  if (!voiceString) {
+    throw new Error('Add at least one voice to the blend.');
+  }
+  const presets = await loadVoicePresets();
+  presets[trimmedName] = voiceString;
+  await browser.storage.local.set({ voicePresets: presets });
+}
+
+/**
+ * @param {string} name
+ * @returns {Promise<void>}
+ */
+async function deleteVoicePreset(name) {
+  const presets = await loadVoicePresets();
+  delete presets[name];
+  await browser.storage.local.set({ voicePresets: presets });
+}
+
+/**
+ * Create an editable blend row
+ * @param {{voice: string, weight: number}} part
+ * @param {Function} onChange - Called whenever the row changes or is removed
+ * @returns {HTMLElement}
+ */
+function createBlendRow(part, onChange) {
+  const row = document.createElement('div');
+  row.className = 'blend-row';
+
+  const voiceInput = document.createElement('input');
+  voiceInput.type = 'text';
+  voiceInput.className = 'blend-voice';
+  voiceInput.placeholder = 'Voice';
+  voiceInput.setAttribute('list', 'voiceOptions');
+  voiceInput.value = part.voice;
+
+  const weightInput = document.createElement('input');
+  weightInput.type = 'number';
+  weightInput.className = 'blend-weight';
+  weightInput.min = '0.1';
+  weightInput.step = '0.1';
+  weightInput.value = part.weight;
+  weightInput.title = 'Weight';
+
+  const removeButton = document.createElement('button');
+  removeButton.textContent = 'Remove';
+  removeButton.addEventListener('click', () => {
+    row.remove();
+    onChange();
+  });
+
+  voiceInput.addEventListener('input', onChange);
+  weightInput.addEventListener('input', onChange);
+
+  row.append(voiceInput, weightInput, removeButton);
+  return row;
+}
+
+/**
+ * Set up the blend editor and preset list (options page)
+ * @param {Object} elements - DOM elements
+ * @returns {Promise<void>}
+ */
+async function initializeBlendEditor(elements) {
+  function readBlend() {
+    return formatVoiceBlend([...elements.blendRows.querySelectorAll('.blend-row')].map((row) => ({
+      voice: row.querySelector('.blend-voice').value.trim(),
+      weight: parseFloat(row.querySelector('.blend-weight').value)
+    })));
+  }
+
+  function updateBlendResult() {
+    elements.blendResult.textContent = readBlend() || 'Add voices to build a blend.';
+  }
+
+  function loadBlend(voiceString) {
+    const parts = parseVoiceBlend(voiceString);
+    elements.blendRows.replaceChildren(...(parts.length > 0 ? parts : [{ voice: '', weight: 1 }])
+      .map((part) => createBlendRow(part, updateBlendResult)));
+    updateBlendResult();
+  }
+
+  async function renderPresets() {
+    const presets = await loadVoicePresets();
+    const names = Object.keys(presets).sort();
+    if (names.length === 0) {
+      elements.presetList.textContent = 'No saved blends yet.';
+      return;
+    }
+
+    elements.presetList.replaceChildren(...names.map((name) => {
+      const row = document.createElement('div');
+      row.className = 'preset-row';
+
+      const label = document.createElement('span');
+      label.textContent = `${name}: ${presets[name]}`;
+
+      const useButton = document.createElement('button');
+      useButton.textContent = 'Use';
+      useButton.title = 'Point the voice setting to this preset (remember to save)';
+      useButton.addEventListener('click', () => {
+        elements.voiceInput.value = CONFIG.VOICE_PRESET_PREFIX + name;
+        elements.voiceInput.dispatchEvent(new Event('input'));
+      });
+
+      const editButton = document.createElement('button');
+      editButton.textContent = 'Edit';
+      editButton.addEventListener('click', () => {
+        elements.presetNameInput.value = name;
+        loadBlend(presets[name]);
+      });
+
+      const deleteButton = document.createElement('button');
+      deleteButton.textContent = 'Delete';
+      deleteButton.addEventListener('click', async () => {
+        await deleteVoicePreset(name);
+        await renderPresets();
+      });
+
+      row.append(label, useButton, editButton, deleteButton);
+      return row;
+    }));
+  }
+
+  elements.addBlendVoiceButton.addEventListener('click', () => {
+    elements.blendRows.appendChild(createBlendRow({ voice: '', weight: 1 }, updateBlendResult));
+    updateBlendResult();
+  });
+
+  elements.previewBlendButton.addEventListener('click', () => {
+    const blend = readBlend();
+    if (!blend) return;
+    browser.runtime.sendMessage({
+      action: 'previewVoice',
+      voice: blend,
+      text: elements.blendSampleInput.value.trim() || BLEND_PREVIEW_TEXT
+    });
+  });
+
+  elements.savePresetButton.addEventListener('click', async () => {
+    try {
+      await saveVoicePreset(elements.presetNameInput.value, readBlend());
+      await renderPresets();
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  // Start from the current voice unless it already points to a preset
+  const currentVoice = elements.voiceInput.value.trim();
+  loadBlend(currentVoice.startsWith(CONFIG.VOICE_PRESET_PREFIX) ? '' : currentVoice);
+  elements.blendSampleInput.placeholder = BLEND_PREVIEW_TEXT;
+  await renderPresets();
+}
@@ -0,0 +1,180 @@
+/**
+ * WAV and PCM helpers
+ * Raw 16-bit PCM chunks from the server are wrapped in a RIFF/WAVE header
+ * with an INFO list (title, artist, comment) and chapters as cue points
+ * labelled in an associated data list. Streamed WAV responses are read by
+ * parsing their header and decoding the samples that follow.
+ */
+
+/**
+ * @typedef {Object} PCMFormat
+ * @property {number} sampleRate
+ * @property {number} channels
+ * @property {number} bitsPerSample - 8, 16, 24 or 32
+ * @property {boolean} [float] - 32-bit IEEE float samples
+ */
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+function fourCC(bytes, offset) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + 4));
+}
+
+/**
+ * Whether bytes start like a WAV file
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+function isWavHeader(bytes) {
+  return bytes.length >= 12 && fourCC(bytes, 0) === 'RIFF' && fourCC(bytes, 8) === 'WAVE';
+}
+
+/**
+ * Read the format of a WAV file from its first bytes. Streamed WAV usually
+ * has a placeholder data size, so the data is assumed to run to the end.
+ * @param {Uint8Array} bytes - Start of the file
+ * @returns {{format: PCMFormat, dataOffset: number}|null} Null until the data chunk is reached
+ */
+function parseWavHeader(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let format = null;
+  let offset = 12;
+
+  while (offset + 8 <= bytes.length) {
+    const id = fourCC(bytes, offset);
+    const size = view.getUint32(offset + 4, true);
+    if (id === 'data') {
+      if (!format) throw new Error('WAV stream without a fmt chunk');
+      return { format, dataOffset: offset + 8 };
+    }
+    if (offset + 8 + size > bytes.length) return null;
+
+    if (id === 'fmt ') {
+      let tag = view.getUint16(offset + 8, true);
+      if (tag === WAVE_FORMAT_EXTENSIBLE && size >= 40) tag = view.getUint16(offset + 32, true);
+      const bitsPerSample = view.getUint16(offset + 22, true);
+      const float = tag === WAVE_FORMAT_FLOAT;
+      if ((tag !== WAVE_FORMAT_PCM && !float) || (float && bitsPerSample !== 32) || ![8, 16, 24, 32].includes(bitsPerSample)) {
+        throw new Error(`Unsupported WAV encoding (format ${tag}, ${bitsPerSample} bits)`);
+      }
+      format = {
+        sampleRate: view.getUint32(offset + 12, true),
+        channels: view.getUint16(offset + 10, true),
+        bitsPerSample,
+        float
+      };
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+/**
+ * Function reading one little-endian sample as a float between -1 and 1
+ * @param {PCMFormat} format
+ * @returns {function(DataView, number): number} Reads the sample at a byte offset
+ */
+function pcmSampleReader(format) {
+  if (format.float) return (view, offset) => view.getFloat32(offset, true);
+  switch (format.bitsPerSample) {
+    case 8:
+      return (view, offset) => (view.getUint8(offset) - 128) / 128;
+    case 24:
+      return (view, offset) =>
+        (((view.getUint8(offset + 2) << 24) | (view.getUint8(offset + 1) << 16) | (view.getUint8(offset) << 8)) >> 8) / 8388608;
+    case 32:
+      return (view, offset) => view.getInt32(offset, true) / 2147483648;
+    default:
+      return (view, offset) => view.getInt16(offset, true) / 32768;
+  }
+}
+
+function riffChunk(id, data) {
+  const header = new Uint8Array(8);
+  header.set(Uint8Array.from(id, (char) => char.charCodeAt(0)));
+  new DataView(header.buffer).setUint32(4, data.length, true);
+  // Chunks are word aligned
+  return data.length % 2 ? concatBytes([header, data, new Uint8Array(1)]) : concatBytes([header, data]);
+}
+
+function riffText(text) {
+  return concatBytes([new TextEncoder().encode(text), new Uint8Array(1)]);
+}
+
+function riffList(type, chunks) {
+  return riffChunk('LIST', concatBytes([Uint8Array.from(type, (char) => char.charCodeAt(0)), ...chunks]));
+}
+
+/**
+ * Encode PCM chunks as one WAV file
+ * @param {Uint8Array[]} parts - Little-endian PCM, in order
+ * @param {{sampleRate: number, channels: number, bytesPerSample: number}} format
+ * @param {Object} [metadata]
+ * @param {string} [metadata.title]
+ * @param {string} [metadata.artist]
+ * @param {string} [metadata.comment]
+ * @param {{title: string, start: number}[]} [metadata.chapters] - Start times in seconds
+ * @returns {Blob}
+ */
+function encodeWav(parts, format, metadata = {}) {
+  const blockAlign = format.channels * format.bytesPerSample;
+  // A part cut mid-sample would shift every sample after it
+  const samples = parts.map((part) => part.subarray(0, part.length - (part.length % blockAlign)));
+  const dataLength = samples.reduce((sum, part) => sum + part.length, 0);
+
+  const fmt = new Uint8Array(16);
+  const view = new DataView(fmt.buffer);
+  view.setUint16(0, 1, true); // integer PCM
+  view.setUint16(2, format.channels, true);
+  view.setUint32(4, format.sampleRate, true);
+  view.setUint32(8, format.sampleRate * blockAlign, true);
+  view.setUint16(12, blockAlign, true);
+  view.setUint16(14, format.bytesPerSample * 8, true);
+  const chunks = [riffChunk('fmt ', fmt)];
+
+  const info = [];
+  if (metadata.title) info.push(riffChunk('INAM', riffText(metadata.title)));
+  if (metadata.artist) info.push(riffChunk('IART', riffText(metadata.artist)));
+  if (metadata.comment) info.push(riffChunk('ICMT', riffText(metadata.comment)));
+  if (info.length > 0) chunks.push(riffList('INFO', info));
+
+  const chapters = metadata.chapters || [];
+  if (chapters.length > 0) {
+    const cue = new Uint8Array(4 + chapters.length * 24);
+    const cueView = new DataView(cue.buffer);
+    cueView.setUint32(0, chapters.length, true);
+    chapters.forEach((chapter, index) => {
+      const offset = 4 + index * 24;
+      const frame = Math.round(chapter.start * format.sampleRate);
+      cueView.setUint32(offset, index + 1, true); // cue point id
+      cueView.setUint32(offset + 4, frame, true);
+      cue.set([0x64, 0x61, 0x74, 0x61], offset + 8); // "data"
+      cueView.setUint32(offset + 20, frame, true);
+    });
+    chunks.push(riffChunk('cue ', cue));
+
+    chunks.push(riffList('adtl', chapters.map((chapter, index) => {
+      const id = new Uint8Array(4);
+      new DataView(id.buffer).setUint32(0, index + 1, true);
+      return riffChunk('labl', concatBytes([id, riffText(chapter.title)]));
+    })));
+  }
+
+  // The data chunk goes last so the samples can be passed to the Blob as they are
+  const dataHeader = new Uint8Array(8);
+  dataHeader.set([0x64, 0x61, 0x74, 0x61]);
+  new DataView(dataHeader.buffer).setUint32(4, dataLength, true);
+  chunks.push(dataHeader);
+
+  const header = concatBytes(chunks);
+  const riff = new Uint8Array(12);
+  riff.set([0x52, 0x49, 0x46, 0x46]); // "RIFF"
+  new DataView(riff.buffer).setUint32(4, 4 + header.length + dataLength + (dataLength % 2), true);
+  riff.set([0x57, 0x41, 0x56, 0x45], 8); // "WAVE"
+
+  const body = [riff, header, ...samples];
+  if (dataLength % 2) body.push(new Uint8Array(1));
+  return new Blob(body, { type: 'audio/wav' });
+}
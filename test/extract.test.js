@@ -0,0 +1,151 @@
+/**
+ * Main content extraction for "Read Page"
+ * Run with: node --test test/
+ * content/extract.js is an injected script, so it runs in a context with a
+ * small stand-in for the DOM: elements built with el() and the selector
+ * forms the script uses (tags, [attr], [attr='value'], descendants, lists).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'content/extract.js'), 'utf8');
+
+class FakeElement {
+  constructor(tagName, attributes = {}) {
+    this.tagName = tagName.toUpperCase();
+    this.attributes = { ...attributes };
+    this.childNodes = [];
+    this.parentNode = null;
+  }
+
+  get id() {
+    return this.attributes.id || '';
+  }
+
+  get className() {
+    return this.attributes.class || '';
+  }
+
+  get parentElement() {
+    return this.parentNode;
+  }
+
+  get textContent() {
+    return this.childNodes.map((child) => (typeof child === 'string' ? child : child.textContent)).join('');
+  }
+
+  append(...children) {
+    children.forEach((child) => {
+      if (typeof child !== 'string') child.parentNode = this;
+      this.childNodes.push(child);
+    });
+    return this;
+  }
+
+  remove() {
+    if (!this.parentNode) return;
+    this.parentNode.childNodes = this.parentNode.childNodes.filter((child) => child !== this);
+    this.parentNode = null;
+  }
+
+  contains(other) {
+    for (let node = other; node; node = node.parentNode) {
+      if (node === this) return true;
+    }
+    return false;
+  }
+
+  cloneNode() {
+    const clone = new FakeElement(this.tagName, this.attributes);
+    return clone.append(...this.childNodes.map((child) => (typeof child === 'string' ? child : child.cloneNode(true))));
+  }
+
+  descendants() {
+    return this.childNodes.flatMap((child) => (typeof child === 'string' ? [] : [child, ...child.descendants()]));
+  }
+
+  matchesCompound(compound) {
+    const [, tag, attributes] = compound.match(/^([a-z0-9]*)((?:\[[^\]]+\])*)$/i);
+    if (tag && tag.toUpperCase() !== this.tagName) return false;
+    return [...attributes.matchAll(/\[([\w-]+)(?:='([^']*)')?\]/g)].every(([, name, value]) =>
+      value === undefined ? name in this.attributes : this.attributes[name] === value);
+  }
+
+  matches(selector) {
+    const compounds = selector.trim().split(/\s+/);
+    if (!this.matchesCompound(compounds.pop())) return false;
+    let ancestor = this.parentNode;
+    while (compounds.length > 0 && ancestor) {
+      if (ancestor.matchesCompound(compounds[compounds.length - 1])) compounds.pop();
+      ancestor = ancestor.parentNode;
+    }
+    return compounds.length === 0;
+  }
+
+  querySelectorAll(selectorList) {
+    const selectors = selectorList.split(',');
+    return this.descendants().filter((element) => selectors.some((selector) => element.matches(selector)));
+  }
+
+  querySelector(selectorList) {
+    return this.querySelectorAll(selectorList)[0] || null;
+  }
+}
+
+function el(tagName, attributes, ...children) {
+  return new FakeElement(tagName, attributes).append(...children);
+}
+
+function extract(body) {
+  const html = el('html', {}, body);
+  const context = vm.createContext({
+    document: {
+      title: 'Test page',
+      body,
+      documentElement: html,
+      querySelector: (selector) => html.querySelector(selector)
+    },
+    location: { href: 'https://example.com/docs' }
+  });
+  return vm.runInContext(SOURCE, context, { filename: 'content/extract.js' });
+}
+
+test('inline code stays in its sentence while code blocks are dropped', () => {
+  const result = extract(el('body', {},
+    el('article', {},
+      el('h1', {}, 'Making requests'),
+      el('p', {}, 'Always call ', el('code', {}, 'fetch()'), ' first, then read the body of the response it returns.'),
+      el('pre', {}, el('code', {}, 'const response = await fetch(url);')),
+      el('div', { class: 'highlight' }, el('code', {}, 'npm install example-client')),
+      el('p', {}, 'Press ', el('kbd', {}, 'Ctrl'), ' and ', el('kbd', {}, 'C'), ' to copy the text you selected on the page.')
+    )
+  ));
+
+  assert.equal(result.text, [
+    'Making requests',
+    'Always call fetch() first, then read the body of the response it returns.',
+    'Press Ctrl and C to copy the text you selected on the page.'
+  ].join('\n'));
+});
+
+test('a wrapper whose class looks like boilerplate keeps the article', () => {
+  const paragraph = 'This paragraph belongs to the article and is long enough, with commas, to be scored.';
+  const result = extract(el('body', {},
+    el('div', { class: 'content-with-sidebar' },
+      el('div', { class: 'post has-sidebar' },
+        el('p', {}, paragraph),
+        el('p', {}, paragraph),
+        el('p', {}, paragraph)
+      ),
+      el('div', { class: 'sidebar' },
+        el('p', {}, 'Related reading that should not be part of the article text.')
+      )
+    )
+  ));
+
+  assert.equal(result.text, [paragraph, paragraph, paragraph].join('\n'));
+});
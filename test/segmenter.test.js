@@ -0,0 +1,121 @@
+/**
+ * Tricky inputs for the sentence segmenter
+ * Run with: node --test test/
+ * shared/segmenter.js is a plain script, so it is loaded into a context with
+ * CONFIG, once with Intl.Segmenter and once with the punctuation fallback.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadSegmenter({ intlSegmenter }) {
+  const context = vm.createContext({});
+  if (!intlSegmenter) vm.runInContext('Intl.Segmenter = undefined;', context);
+  ['shared/config.js', 'shared/segmenter.js'].forEach((file) => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+  });
+  // Arrays from another context fail deepStrictEqual against local ones
+  return (text, locale) => Array.from(vm.runInContext('splitTextIntoSentences', context)(text, locale));
+}
+
+[
+  { name: 'Intl.Segmenter', intlSegmenter: true },
+  { name: 'fallback', intlSegmenter: false }
+].forEach(({ name, intlSegmenter }) => {
+  const split = loadSegmenter({ intlSegmenter });
+
+  test(`${name}: abbreviations do not end a sentence`, () => {
+    assert.deepEqual(split('Dr. Smith arrived late yesterday. Everyone else was on time.'), [
+      'Dr. Smith arrived late yesterday.',
+      'Everyone else was on time.'
+    ]);
+    assert.deepEqual(split('Bring fruit, e.g. apples or pears, to the picnic. We will share them all.'), [
+      'Bring fruit, e.g. apples or pears, to the picnic.',
+      'We will share them all.'
+    ]);
+  });
+
+  test(`${name}: initials stay with the name`, () => {
+    assert.deepEqual(split('The book was written by J. R. R. Tolkien in England. It sold very well.'), [
+      'The book was written by J. R. R. Tolkien in England.',
+      'It sold very well.'
+    ]);
+  });
+
+  test(`${name}: a capital letter ending a sentence is not an initial`, () => {
+    assert.deepEqual(split('Her final grade is an A. Then she went on holiday.'), [
+      'Her final grade is an A.',
+      'Then she went on holiday.'
+    ]);
+  });
+
+  test(`${name}: decimals are not sentence breaks`, () => {
+    assert.deepEqual(split('The value of pi is about 3.14 in most schools. Engineers often use more digits.'), [
+      'The value of pi is about 3.14 in most schools.',
+      'Engineers often use more digits.'
+    ]);
+  });
+
+  test(`${name}: question and exclamation marks, ASCII and full width`, () => {
+    assert.deepEqual(split('Did you see the game last night? It was absolutely amazing! I want to watch it again.'), [
+      'Did you see the game last night?',
+      'It was absolutely amazing!',
+      'I want to watch it again.'
+    ]);
+    assert.deepEqual(split('本当にそうですか？私はそう思いません！それでも話を聞きます。', 'ja'), [
+      '本当にそうですか？',
+      '私はそう思いません！',
+      'それでも話を聞きます。'
+    ]);
+  });
+
+  test(`${name}: ellipses end a sentence before a capital`, () => {
+    assert.deepEqual(split('He waited for a very long time… Nobody ever came back for him.'), [
+      'He waited for a very long time…',
+      'Nobody ever came back for him.'
+    ]);
+    assert.deepEqual(split('He waited for a very long time... Nobody ever came back for him.'), [
+      'He waited for a very long time...',
+      'Nobody ever came back for him.'
+    ]);
+  });
+
+  test(`${name}: closing quotes stay with their sentence`, () => {
+    assert.deepEqual(split('She said, "We are leaving tomorrow morning." Then she closed the door.'), [
+      'She said, "We are leaving tomorrow morning."',
+      'Then she closed the door.'
+    ]);
+  });
+
+  test(`${name}: CJK full stops split Chinese and Japanese`, () => {
+    assert.deepEqual(split('这是第一个句子。这是第二个句子。这是第三个句子，比较长一点。', 'zh'), [
+      '这是第一个句子。',
+      '这是第二个句子。',
+      '这是第三个句子，比较长一点。'
+    ]);
+    assert.deepEqual(split('今日はとても良い天気です。明日は雨が降るそうです。', 'ja'), [
+      '今日はとても良い天気です。',
+      '明日は雨が降るそうです。'
+    ]);
+  });
+
+  test(`${name}: short fragments are merged into a neighbour`, () => {
+    assert.deepEqual(split('Yes, I agree with you. Okay. That settles the whole matter for today.'), [
+      'Yes, I agree with you. Okay.',
+      'That settles the whole matter for today.'
+    ]);
+  });
+
+  test(`${name}: long sentences are split at clauses`, () => {
+    const clause = 'this clause is there to make the sentence longer than the limit';
+    const sentence = Array.from({ length: 8 }, () => clause).join('; ') + '.';
+    const parts = split(sentence);
+    assert.ok(parts.length > 1);
+    parts.forEach((part) => assert.ok(part.length <= 300, `${part.length} characters`));
+    assert.ok(parts.slice(0, -1).every((part) => part.endsWith(';')));
+    assert.equal(parts.join(' '), sentence);
+  });
+});